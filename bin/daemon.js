@@ -7,10 +7,8 @@
 // with an exit code of 1, just like any uncaught exception.
 require('make-promises-safe')
 
-const Prometheus = require('prom-client')
 const Daemon = require('../lib/daemon')
 const MetricsServer = require('../lib/metrics-server')
-const Metrics = require('../lib/metrics')
 const { getExternalSecretEvents } = require('../lib/external-secret')
 const PollerFactory = require('../lib/poller-factory')
 
@@ -19,10 +17,19 @@ const {
   kubeClient,
   customResourceManager,
   customResourceManifest,
+  eventRecorder,
+  forceSyncAnnotation,
   logger,
+  metrics,
   metricsPort,
+  metricsRegistry,
   pollerIntervalMilliseconds,
-  rolePermittedAnnotation
+  pollerJitterFactor,
+  pollerMaxBackoffMilliseconds,
+  pollerMaxIntervalMilliseconds,
+  pollerMinIntervalMilliseconds,
+  rolePermittedAnnotation,
+  strictMode
 } = require('../config')
 
 async function main () {
@@ -39,28 +46,33 @@ async function main () {
     logger
   })
 
-  const registry = Prometheus.register
-  const metrics = new Metrics({ registry })
-
   const pollerFactory = new PollerFactory({
     backends,
     kubeClient,
     metrics,
+    eventRecorder,
     pollerIntervalMilliseconds,
+    pollerJitterFactor,
+    pollerMaxBackoffMilliseconds,
+    pollerMaxIntervalMilliseconds,
+    pollerMinIntervalMilliseconds,
     rolePermittedAnnotation,
+    forceSyncAnnotation,
+    strictMode,
     customResourceManifest,
     logger
   })
 
   const daemon = new Daemon({
     externalSecretEvents,
+    forceSyncAnnotation,
     logger,
     pollerFactory
   })
 
   const metricsServer = new MetricsServer({
     port: metricsPort,
-    registry,
+    registry: metricsRegistry,
     logger
   })
 
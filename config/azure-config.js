@@ -0,0 +1,30 @@
+'use strict'
+
+/* eslint-disable no-process-env */
+let credential
+
+/**
+ * Use a service principal when a client secret is configured, otherwise
+ * fall back to the managed identity of the node or pod. AZURE_CLIENT_ID
+ * selects a user assigned managed identity.
+ */
+function getCredential () {
+  if (!credential) {
+    const { ClientSecretCredential, ManagedIdentityCredential } = require('@azure/identity')
+    credential = process.env.AZURE_CLIENT_SECRET
+      ? new ClientSecretCredential(
+        process.env.AZURE_TENANT_ID,
+        process.env.AZURE_CLIENT_ID,
+        process.env.AZURE_CLIENT_SECRET)
+      : new ManagedIdentityCredential(process.env.AZURE_CLIENT_ID)
+  }
+  return credential
+}
+
+module.exports = {
+  // The SDK is only loaded once the backend is used.
+  azureKeyVaultFactory: (vaultUrl) => {
+    const { SecretClient } = require('@azure/keyvault-secrets')
+    return new SecretClient(vaultUrl, getCredential())
+  }
+}
@@ -25,10 +25,41 @@ const rolePermittedAnnotation = process.env.ROLE_PERMITTED_ANNOTATION || 'iam.am
 
 const metricsPort = process.env.METRICS_PORT || 3001
 
+// ExternalSecrets are synced right away when the value of this annotation changes.
+const forceSyncAnnotation = process.env.FORCE_SYNC_ANNOTATION || 'kubernetes-client.io/force-sync'
+
+// Bounds for the refreshInterval of ExternalSecrets.
+const pollerMinIntervalMilliseconds = process.env.POLLER_MIN_INTERVAL_MILLISECONDS
+  ? Number(process.env.POLLER_MIN_INTERVAL_MILLISECONDS) : 1000
+const pollerMaxIntervalMilliseconds = process.env.POLLER_MAX_INTERVAL_MILLISECONDS
+  ? Number(process.env.POLLER_MAX_INTERVAL_MILLISECONDS) : Infinity
+
+// Upper bound for the delay between polls after consecutive failures.
+const pollerMaxBackoffMilliseconds = process.env.POLLER_MAX_BACKOFF_MILLISECONDS
+  ? Number(process.env.POLLER_MAX_BACKOFF_MILLISECONDS) : 600000
+
+// Random delay of polls, as a share of the poller interval.
+const pollerJitterFactor = process.env.POLLER_JITTER_FACTOR
+  ? Number(process.env.POLLER_JITTER_FACTOR) : 0.1
+
+// Name assumed role sessions after the ExternalSecret, unless disabled to share
+// one STS call per role instead of one per ExternalSecret and role.
+const roleSessionNamePerExternalSecret = process.env.AWS_ROLE_SESSION_NAME_PER_EXTERNAL_SECRET !== 'false'
+
+// Fail syncs on malformed or missing values, unless set per ExternalSecret.
+const strictMode = process.env.STRICT_MODE === 'true'
+
 module.exports = {
   environment,
   pollerIntervalMilliseconds,
+  pollerMinIntervalMilliseconds,
+  pollerMaxIntervalMilliseconds,
+  pollerMaxBackoffMilliseconds,
+  pollerJitterFactor,
   metricsPort,
   rolePermittedAnnotation,
-  logLevel
+  forceSyncAnnotation,
+  logLevel,
+  roleSessionNamePerExternalSecret,
+  strictMode
 }
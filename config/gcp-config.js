@@ -0,0 +1,10 @@
+'use strict'
+
+module.exports = {
+  // Credentials are read from the service account key GOOGLE_APPLICATION_CREDENTIALS points to.
+  // The SDK is only loaded once the backend is used.
+  gcpSecretsManagerFactory: (opts) => {
+    const { SecretManagerServiceClient } = require('@google-cloud/secret-manager')
+    return new SecretManagerServiceClient(opts)
+  }
+}
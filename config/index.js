@@ -3,13 +3,23 @@
 const kube = require('kubernetes-client')
 const KubeRequest = require('kubernetes-client/backends/request')
 const pino = require('pino')
+const Prometheus = require('prom-client')
 
 const awsConfig = require('./aws-config')
+const azureConfig = require('./azure-config')
+const gcpConfig = require('./gcp-config')
+const vaultConfig = require('./vault-config')
 const envConfig = require('./environment')
+const CredentialsCache = require('../lib/credentials-cache')
 const CustomResourceManager = require('../lib/custom-resource-manager')
+const EventRecorder = require('../lib/event-recorder')
+const Metrics = require('../lib/metrics')
 const customResourceManifest = require('../custom-resource-manifest.json')
+const AzureKeyVaultBackend = require('../lib/backends/azure-keyvault-backend')
+const GcpSecretsManagerBackend = require('../lib/backends/gcp-secrets-manager-backend')
 const SecretsManagerBackend = require('../lib/backends/secrets-manager-backend')
 const SystemManagerBackend = require('../lib/backends/system-manager-backend')
+const VaultBackend = require('../lib/backends/vault-backend')
 
 const kubeconfig = new kube.KubeConfig()
 kubeconfig.loadFromDefault()
@@ -28,19 +38,50 @@ const customResourceManager = new CustomResourceManager({
   logger
 })
 
+const eventRecorder = new EventRecorder({
+  kubeClient,
+  logger
+})
+
+const metricsRegistry = Prometheus.register
+const metrics = new Metrics({ registry: metricsRegistry })
+
+const credentialsCache = new CredentialsCache({
+  assumeRole: awsConfig.assumeRole,
+  metrics
+})
+const assumeRole = assumeRoleOpts => credentialsCache.assumeRole(assumeRoleOpts)
+
 const secretsManagerBackend = new SecretsManagerBackend({
   clientFactory: awsConfig.secretsManagerFactory,
-  assumeRole: awsConfig.assumeRole,
-  logger
+  assumeRole,
+  logger,
+  roleSessionNamePerExternalSecret: envConfig.roleSessionNamePerExternalSecret
 })
 const systemManagerBackend = new SystemManagerBackend({
   clientFactory: awsConfig.systemManagerFactory,
-  assumeRole: awsConfig.assumeRole,
+  assumeRole,
+  logger,
+  roleSessionNamePerExternalSecret: envConfig.roleSessionNamePerExternalSecret
+})
+const vaultBackend = new VaultBackend({
+  clientFactory: vaultConfig.vaultFactory,
+  logger
+})
+const azureKeyVaultBackend = new AzureKeyVaultBackend({
+  clientFactory: azureConfig.azureKeyVaultFactory,
+  logger
+})
+const gcpSecretsManagerBackend = new GcpSecretsManagerBackend({
+  clientFactory: gcpConfig.gcpSecretsManagerFactory,
   logger
 })
 const backends = {
   secretsManager: secretsManagerBackend,
-  systemManager: systemManagerBackend
+  systemManager: systemManagerBackend,
+  vault: vaultBackend,
+  azureKeyVault: azureKeyVaultBackend,
+  gcpSecretsManager: gcpSecretsManagerBackend
 }
 
 // backwards compatibility
@@ -51,6 +92,9 @@ module.exports = {
   customResourceManager,
   customResourceManifest,
   ...envConfig,
+  eventRecorder,
   kubeClient,
-  logger
+  logger,
+  metrics,
+  metricsRegistry
 }
@@ -0,0 +1,13 @@
+'use strict'
+
+/* eslint-disable no-process-env */
+const vault = require('node-vault')
+
+const vaultConfig = {
+  apiVersion: 'v1',
+  endpoint: process.env.VAULT_ADDR || 'http://127.0.0.1:8200'
+}
+
+module.exports = {
+  vaultFactory: (opts) => vault({ ...vaultConfig, ...opts })
+}
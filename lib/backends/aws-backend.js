@@ -0,0 +1,104 @@
+'use strict'
+
+const KVBackend = require('./kv-backend')
+
+const DEFAULT_ROLE_SESSION_NAME = 'k8s-external-secrets'
+
+// STS limits role session names to 64 characters.
+const MAX_ROLE_SESSION_NAME_LENGTH = 64
+
+/** AWS backend class, shared by the backends for AWS services. */
+class AwsBackend extends KVBackend {
+  /**
+   * Create AWS backend.
+   * @param {Function} clientFactory - Factory for clients interacting with the AWS service.
+   * @param {Function} assumeRole - Assumes a role, resolving to an STS AssumeRole response.
+   * @param {Object} logger - Logger for logging stuff.
+   * @param {boolean} roleSessionNamePerExternalSecret - Name role sessions after
+   *   the external secret, or share one session, and its cached credentials,
+   *   per role when false.
+   */
+  constructor ({ clientFactory, assumeRole, logger, roleSessionNamePerExternalSecret = true }) {
+    super({ logger })
+    this._client = clientFactory()
+    this._clientFactory = clientFactory
+    this._assumeRole = assumeRole
+    this._roleSessionNamePerExternalSecret = roleSessionNamePerExternalSecret
+    this._regionClients = new Map()
+    this._roleClients = new Map()
+  }
+
+  /**
+   * Get the role session name for an external secret, so that CloudTrail
+   * shows which ExternalSecret read a secret. With
+   * roleSessionNamePerExternalSecret disabled, all external secrets share one
+   * session name, so that the credentials of a role are cached once for all
+   * of them instead of once per ExternalSecret and role.
+   * @param {Object} context - External secret the role is assumed for.
+   * @param {string} context.namespace - Namespace of the external secret.
+   * @param {string} context.name - Name of the external secret.
+   * @returns {string} Role session name, e.g. namespace.name.
+   */
+  _getRoleSessionName ({ namespace, name } = {}) {
+    if (!this._roleSessionNamePerExternalSecret || !namespace || !name) {
+      return DEFAULT_ROLE_SESSION_NAME
+    }
+
+    return `${namespace}.${name}`
+      .replace(/[^\w+=,.@-]/g, '-')
+      .slice(0, MAX_ROLE_SESSION_NAME_LENGTH)
+  }
+
+  /**
+   * Get a client for the AWS service in the given region, assuming a role
+   * if given. Clients are created on first use, and again once the
+   * credentials of the assumed role have been refreshed.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @param {string} specOptions.region - Region of the AWS service, defaults to AWS_REGION.
+   * @param {string} specOptions.roleArn - Role to assume before fetching secrets.
+   * @param {string} specOptions.externalId - External ID required by the role's trust policy.
+   * @param {number} specOptions.sessionDuration - Duration of the role session in seconds.
+   * @param {Object} specOptions.context - External secret the client is used for.
+   * @returns {Promise} Promise object representing the client.
+   */
+  async _getClient ({ region, roleArn, externalId, sessionDuration, context }) {
+    if (!region && !roleArn) {
+      return this._client
+    }
+
+    const clientOpts = region ? { region } : {}
+
+    if (!roleArn) {
+      if (!this._regionClients.has(region)) {
+        this._regionClients.set(region, this._clientFactory(clientOpts))
+      }
+      return this._regionClients.get(region)
+    }
+
+    const assumeRoleOpts = {
+      RoleArn: roleArn,
+      RoleSessionName: this._getRoleSessionName(context)
+    }
+    if (externalId) assumeRoleOpts.ExternalId = externalId
+    if (sessionDuration) assumeRoleOpts.DurationSeconds = Number(sessionDuration)
+
+    const { Credentials: credentials } = await this._assumeRole(assumeRoleOpts)
+    const cacheKey = JSON.stringify([region, assumeRoleOpts])
+    const cached = this._roleClients.get(cacheKey)
+    if (cached && cached.credentials === credentials) {
+      return cached.client
+    }
+
+    const client = this._clientFactory({
+      ...clientOpts,
+      accessKeyId: credentials.AccessKeyId,
+      secretAccessKey: credentials.SecretAccessKey,
+      sessionToken: credentials.SessionToken
+    })
+    this._roleClients.set(cacheKey, { credentials, client })
+
+    return client
+  }
+}
+
+module.exports = AwsBackend
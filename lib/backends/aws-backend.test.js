@@ -0,0 +1,161 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+const sinon = require('sinon')
+
+const AwsBackend = require('./aws-backend')
+
+describe('AwsBackend', () => {
+  let clientMock
+  let roleClientMock
+  let clientFactoryMock
+  let assumeRoleMock
+  let awsBackend
+  const assumeRoleCredentials = {
+    Credentials: {
+      AccessKeyId: '1234',
+      SecretAccessKey: '3123123',
+      SessionToken: 'asdasdasdad'
+    }
+  }
+
+  beforeEach(() => {
+    clientMock = sinon.mock()
+    roleClientMock = sinon.mock()
+    clientFactoryMock = sinon.stub().callsFake(opts => opts ? roleClientMock : clientMock)
+    assumeRoleMock = sinon.fake.returns(Promise.resolve(assumeRoleCredentials))
+
+    awsBackend = new AwsBackend({
+      clientFactory: clientFactoryMock,
+      assumeRole: assumeRoleMock
+    })
+  })
+
+  describe('_getClient', () => {
+    it('returns the default client without a role', async () => {
+      const client = await awsBackend._getClient({})
+
+      expect(assumeRoleMock.callCount).equals(0)
+      expect(client).equals(clientMock)
+    })
+
+    it('shares the role session of external secrets when disabled', async () => {
+      awsBackend = new AwsBackend({
+        clientFactory: clientFactoryMock,
+        assumeRole: assumeRoleMock,
+        roleSessionNamePerExternalSecret: false
+      })
+
+      await awsBackend._getClient({
+        roleArn: 'my-role',
+        context: { namespace: 'fakeNamespace', name: 'fakeName' }
+      })
+      await awsBackend._getClient({
+        roleArn: 'my-role',
+        context: { namespace: 'fakeNamespace', name: 'otherFakeName' }
+      })
+
+      expect(assumeRoleMock.args).deep.equals([
+        [{ RoleArn: 'my-role', RoleSessionName: 'k8s-external-secrets' }],
+        [{ RoleArn: 'my-role', RoleSessionName: 'k8s-external-secrets' }]
+      ])
+    })
+
+    it('assumes the role with a session name per external secret by default', async () => {
+      const client = await awsBackend._getClient({
+        roleArn: 'my-role',
+        context: { namespace: 'fakeNamespace', name: 'fakeName' }
+      })
+
+      expect(assumeRoleMock.getCall(0).args).deep.equals([{
+        RoleArn: 'my-role',
+        RoleSessionName: 'fakeNamespace.fakeName'
+      }])
+      expect(clientFactoryMock.lastCall.args).deep.equals([{
+        accessKeyId: assumeRoleCredentials.Credentials.AccessKeyId,
+        secretAccessKey: assumeRoleCredentials.Credentials.SecretAccessKey,
+        sessionToken: assumeRoleCredentials.Credentials.SessionToken
+      }])
+      expect(client).equals(roleClientMock)
+    })
+
+    it('assumes the role with external id and session duration', async () => {
+      await awsBackend._getClient({
+        roleArn: 'my-role',
+        externalId: 'fakeExternalId',
+        sessionDuration: '900'
+      })
+
+      expect(assumeRoleMock.getCall(0).args).deep.equals([{
+        RoleArn: 'my-role',
+        RoleSessionName: 'k8s-external-secrets',
+        ExternalId: 'fakeExternalId',
+        DurationSeconds: 900
+      }])
+    })
+  })
+
+  describe('_getClient - region', () => {
+    it('creates one client per region', async () => {
+      const first = await awsBackend._getClient({ region: 'eu-west-1' })
+      const second = await awsBackend._getClient({ region: 'eu-west-1' })
+      await awsBackend._getClient({ region: 'us-east-1' })
+
+      expect(clientFactoryMock.args).deep.equals([
+        [],
+        [{ region: 'eu-west-1' }],
+        [{ region: 'us-east-1' }]
+      ])
+      expect(second).equals(first)
+    })
+
+    it('combines region and role', async () => {
+      await awsBackend._getClient({ region: 'eu-west-1', roleArn: 'my-role' })
+
+      expect(clientFactoryMock.lastCall.args).deep.equals([{
+        region: 'eu-west-1',
+        accessKeyId: assumeRoleCredentials.Credentials.AccessKeyId,
+        secretAccessKey: assumeRoleCredentials.Credentials.SecretAccessKey,
+        sessionToken: assumeRoleCredentials.Credentials.SessionToken
+      }])
+    })
+
+    it('reuses role clients until the credentials change', async () => {
+      await awsBackend._getClient({ region: 'eu-west-1', roleArn: 'my-role' })
+      await awsBackend._getClient({ region: 'eu-west-1', roleArn: 'my-role' })
+      await awsBackend._getClient({ region: 'us-east-1', roleArn: 'my-role' })
+      expect(clientFactoryMock.callCount).equals(3)
+
+      awsBackend._assumeRole = sinon.fake.resolves({
+        Credentials: { ...assumeRoleCredentials.Credentials, SessionToken: 'refreshed' }
+      })
+      await awsBackend._getClient({ region: 'eu-west-1', roleArn: 'my-role' })
+      expect(clientFactoryMock.callCount).equals(4)
+      expect(clientFactoryMock.lastCall.args[0].sessionToken).equals('refreshed')
+    })
+  })
+
+  describe('_getRoleSessionName', () => {
+    it('is shared when disabled', () => {
+      awsBackend._roleSessionNamePerExternalSecret = false
+
+      expect(awsBackend._getRoleSessionName({ namespace: 'fake-namespace', name: 'fake-name' })).equals('k8s-external-secrets')
+    })
+
+    it('defaults without an external secret', () => {
+      expect(awsBackend._getRoleSessionName()).equals('k8s-external-secrets')
+      expect(awsBackend._getRoleSessionName({})).equals('k8s-external-secrets')
+    })
+
+    it('fits the STS limits', () => {
+      const roleSessionName = awsBackend._getRoleSessionName({
+        namespace: 'fake-namespace',
+        name: `fake-name-${'x'.repeat(100)}`
+      })
+
+      expect(roleSessionName).to.have.lengthOf(64)
+      expect(roleSessionName).to.match(/^fake-namespace\.fake-name-x+$/)
+    })
+  })
+})
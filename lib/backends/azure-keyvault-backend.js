@@ -0,0 +1,61 @@
+'use strict'
+
+const KVBackend = require('./kv-backend')
+
+/** Azure Key Vault backend class. */
+class AzureKeyVaultBackend extends KVBackend {
+  /**
+   * Create Azure Key Vault backend.
+   * @param {Function} clientFactory - Factory for clients interacting with a key vault, given its URL.
+   * @param {Object} logger - Logger for logging stuff.
+   */
+  constructor ({ clientFactory, logger }) {
+    super({ logger })
+    this._clientFactory = clientFactory
+    this._clients = new Map()
+  }
+
+  /**
+   * Require the URL of the key vault.
+   * @param {Object} specOptions - Options for this external secret.
+   * @param {string} specOptions.vaultUrl - URL of the key vault.
+   */
+  _validateSpecOptions ({ vaultUrl }) {
+    if (!vaultUrl) {
+      throw new Error('vaultUrl is required for the azureKeyVault backend')
+    }
+  }
+
+  /**
+   * Get the client for a key vault, creating it on first use.
+   * @param {string} vaultUrl - URL of the key vault, e.g. https://my-vault.vault.azure.net.
+   * @returns {Object} Client for interacting with the key vault.
+   */
+  _getClient ({ vaultUrl }) {
+    if (!this._clients.has(vaultUrl)) {
+      this._clients.set(vaultUrl, this._clientFactory(vaultUrl))
+    }
+
+    return this._clients.get(vaultUrl)
+  }
+
+  /**
+   * Get secret property value from Azure Key Vault.
+   * @param {string} secretKey - Name of the secret in the key vault.
+   * @param {Object} specOptions - Options for this external secret, e.g. vaultUrl.
+   * @param {string} specOptions.vaultUrl - URL of the key vault.
+   * @param {Object} keyOptions - Options for this specific key, e.g. version.
+   * @param {string} keyOptions.version - Version of the secret, defaults to the latest one.
+   * @returns {Promise} Promise object representing secret property value.
+   */
+  async _get ({ secretKey, specOptions: { vaultUrl }, keyOptions: { version } = {} }) {
+    const client = this._getClient({ vaultUrl })
+
+    this._logger.debug(`reading secret key ${secretKey} from azure key vault ${vaultUrl}`)
+    const secret = await client.getSecret(secretKey, { version })
+
+    return secret.value
+  }
+}
+
+module.exports = AzureKeyVaultBackend
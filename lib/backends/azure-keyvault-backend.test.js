@@ -0,0 +1,93 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+const sinon = require('sinon')
+
+const AzureKeyVaultBackend = require('./azure-keyvault-backend')
+
+describe('AzureKeyVaultBackend', () => {
+  let clientMock
+  let clientFactoryMock
+  let loggerMock
+  let azureKeyVaultBackend
+
+  beforeEach(() => {
+    clientMock = sinon.mock()
+    clientMock.getSecret = sinon.stub()
+    clientFactoryMock = sinon.fake.returns(clientMock)
+
+    loggerMock = sinon.mock()
+    loggerMock.debug = sinon.stub()
+
+    azureKeyVaultBackend = new AzureKeyVaultBackend({
+      clientFactory: clientFactoryMock,
+      logger: loggerMock
+    })
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('_get', () => {
+    it('returns secret property value', async () => {
+      clientMock.getSecret.resolves({
+        name: 'fakeSecretKey',
+        value: 'fakeSecretPropertyValue'
+      })
+
+      const secretPropertyValue = await azureKeyVaultBackend._get({
+        secretKey: 'fakeSecretKey',
+        specOptions: { vaultUrl: 'https://fake-vault.vault.azure.net' }
+      })
+
+      expect(clientFactoryMock.getCall(0).args).deep.equals(['https://fake-vault.vault.azure.net'])
+      expect(clientMock.getSecret.calledWith('fakeSecretKey', { version: undefined })).to.equal(true)
+      expect(secretPropertyValue).equals('fakeSecretPropertyValue')
+    })
+
+    it('returns a specific version of the secret', async () => {
+      clientMock.getSecret.resolves({
+        name: 'fakeSecretKey',
+        value: 'fakeOldSecretPropertyValue'
+      })
+
+      const secretPropertyValue = await azureKeyVaultBackend._get({
+        secretKey: 'fakeSecretKey',
+        specOptions: { vaultUrl: 'https://fake-vault.vault.azure.net' },
+        keyOptions: { version: 'fakeVersion' }
+      })
+
+      expect(clientMock.getSecret.calledWith('fakeSecretKey', { version: 'fakeVersion' })).to.equal(true)
+      expect(secretPropertyValue).equals('fakeOldSecretPropertyValue')
+    })
+
+    it('reuses clients per vault url', async () => {
+      clientMock.getSecret.resolves({ value: 'fakeSecretPropertyValue' })
+      const get = vaultUrl => azureKeyVaultBackend._get({
+        secretKey: 'fakeSecretKey',
+        specOptions: { vaultUrl }
+      })
+
+      await get('https://fake-vault.vault.azure.net')
+      await get('https://fake-vault.vault.azure.net')
+      await get('https://other-fake-vault.vault.azure.net')
+
+      expect(clientFactoryMock.callCount).equals(2)
+    })
+
+    it('requires a vault url', async () => {
+      try {
+        await azureKeyVaultBackend.getSecretManifestData({
+          secretDescriptor: { data: [{ key: 'fakeSecretKey', name: 'fakeName' }] }
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('vaultUrl is required for the azureKeyVault backend')
+        expect(err).to.not.have.property('reason')
+      }
+      expect(clientMock.getSecret.called).to.equal(false)
+    })
+  })
+})
@@ -0,0 +1,70 @@
+'use strict'
+
+const KVBackend = require('./kv-backend')
+
+/** GCP Secret Manager backend class. */
+class GcpSecretsManagerBackend extends KVBackend {
+  /**
+   * Create GCP Secret Manager backend.
+   * @param {Function} clientFactory - Factory for clients interacting with GCP Secret Manager.
+   * @param {Object} logger - Logger for logging stuff.
+   */
+  constructor ({ clientFactory, logger }) {
+    super({ logger })
+    this._clientFactory = clientFactory
+    this._client = null
+  }
+
+  /**
+   * Get the client for GCP Secret Manager, creating it on first use.
+   * @returns {Object} Client for interacting with GCP Secret Manager.
+   */
+  _getClient () {
+    if (!this._client) {
+      this._client = this._clientFactory()
+    }
+
+    return this._client
+  }
+
+  /**
+   * Get the resource name of a secret version.
+   * @param {string} secretKey - Secret name, or its full resource name.
+   * @param {string} projectId - Project of the secret, defaults to the project of the credentials.
+   * @param {string} version - Version of the secret, defaults to latest.
+   * @returns {Promise} Promise object representing the resource name,
+   *   i.e. projects/<project>/secrets/<secret>/versions/<version>.
+   */
+  async _getVersionName ({ secretKey, projectId, version = 'latest' }) {
+    if (/^projects\/[^/]+\/secrets\/[^/]+\/versions\/[^/]+$/.test(secretKey)) {
+      return secretKey
+    }
+
+    if (/^projects\/[^/]+\/secrets\/[^/]+$/.test(secretKey)) {
+      return `${secretKey}/versions/${version}`
+    }
+
+    const project = projectId || await this._getClient().getProjectId()
+    return `projects/${project}/secrets/${secretKey}/versions/${version}`
+  }
+
+  /**
+   * Get secret property value from GCP Secret Manager.
+   * @param {string} secretKey - Secret name, or its full resource name.
+   * @param {Object} specOptions - Options for this external secret, e.g. projectId.
+   * @param {string} specOptions.projectId - Project of the secrets.
+   * @param {Object} keyOptions - Options for this specific key, e.g. version.
+   * @param {string} keyOptions.version - Version of the secret, defaults to latest.
+   * @returns {Promise} Promise object representing secret property value.
+   */
+  async _get ({ secretKey, specOptions: { projectId }, keyOptions: { version } = {} }) {
+    const name = await this._getVersionName({ secretKey, projectId, version })
+
+    this._logger.debug(`reading secret version ${name} from gcp secret manager`)
+    const [secretVersion] = await this._getClient().accessSecretVersion({ name })
+
+    return secretVersion.payload.data.toString('utf8')
+  }
+}
+
+module.exports = GcpSecretsManagerBackend
@@ -0,0 +1,103 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+const sinon = require('sinon')
+
+const GcpSecretsManagerBackend = require('./gcp-secrets-manager-backend')
+
+describe('GcpSecretsManagerBackend', () => {
+  let clientFactoryMock
+  let clientMock
+  let loggerMock
+  let gcpSecretsManagerBackend
+
+  beforeEach(() => {
+    clientMock = sinon.mock()
+    clientMock.getProjectId = sinon.stub().resolves('fakeCredentialsProject')
+    clientMock.accessSecretVersion = sinon.stub().resolves([{
+      payload: {
+        data: Buffer.from('fakeSecretPropertyValue', 'utf8')
+      }
+    }])
+
+    clientFactoryMock = sinon.fake.returns(clientMock)
+
+    loggerMock = sinon.mock()
+    loggerMock.debug = sinon.stub()
+
+    gcpSecretsManagerBackend = new GcpSecretsManagerBackend({
+      clientFactory: clientFactoryMock,
+      logger: loggerMock
+    })
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('_get', () => {
+    it('creates the client on first use', async () => {
+      expect(clientFactoryMock.callCount).equals(0)
+
+      await gcpSecretsManagerBackend._get({ secretKey: 'fakeSecretKey', specOptions: {} })
+      await gcpSecretsManagerBackend._get({ secretKey: 'fakeSecretKey', specOptions: {} })
+
+      expect(clientFactoryMock.callCount).equals(1)
+    })
+
+    it('returns the latest secret property value', async () => {
+      const secretPropertyValue = await gcpSecretsManagerBackend._get({
+        secretKey: 'fakeSecretKey',
+        specOptions: { projectId: 'fakeProject' }
+      })
+
+      expect(clientMock.accessSecretVersion.calledWith({
+        name: 'projects/fakeProject/secrets/fakeSecretKey/versions/latest'
+      })).to.equal(true)
+      expect(clientMock.getProjectId.callCount).equals(0)
+      expect(secretPropertyValue).equals('fakeSecretPropertyValue')
+    })
+
+    it('returns a specific version of the secret', async () => {
+      await gcpSecretsManagerBackend._get({
+        secretKey: 'fakeSecretKey',
+        specOptions: { projectId: 'fakeProject' },
+        keyOptions: { version: '3' }
+      })
+
+      expect(clientMock.accessSecretVersion.calledWith({
+        name: 'projects/fakeProject/secrets/fakeSecretKey/versions/3'
+      })).to.equal(true)
+    })
+
+    it('defaults to the project of the credentials', async () => {
+      await gcpSecretsManagerBackend._get({
+        secretKey: 'fakeSecretKey',
+        specOptions: {}
+      })
+
+      expect(clientMock.accessSecretVersion.calledWith({
+        name: 'projects/fakeCredentialsProject/secrets/fakeSecretKey/versions/latest'
+      })).to.equal(true)
+    })
+
+    it('accepts full resource names', async () => {
+      await gcpSecretsManagerBackend._get({
+        secretKey: 'projects/otherProject/secrets/fakeSecretKey/versions/2',
+        specOptions: { projectId: 'fakeProject' }
+      })
+      await gcpSecretsManagerBackend._get({
+        secretKey: 'projects/otherProject/secrets/fakeSecretKey',
+        specOptions: { projectId: 'fakeProject' }
+      })
+
+      expect(clientMock.accessSecretVersion.getCall(0).args).deep.equals([{
+        name: 'projects/otherProject/secrets/fakeSecretKey/versions/2'
+      }])
+      expect(clientMock.accessSecretVersion.getCall(1).args).deep.equals([{
+        name: 'projects/otherProject/secrets/fakeSecretKey/versions/latest'
+      }])
+    })
+  })
+})
@@ -1,6 +1,67 @@
 'use strict'
 
+const safeRegex = require('safe-regex')
+
 const AbstractBackend = require('./abstract-backend')
+const { getProperty } = require('../property-path')
+const { decodeValue } = require('../value-decoder')
+const { parseValue, validateFormat } = require('../value-parser')
+
+const CONFLICT_POLICIES = ['error', 'firstWins', 'lastWins']
+const DEFAULT_CONFLICT_POLICY = 'lastWins'
+
+// Kubernetes Secret keys, except . and .. which are rejected separately.
+const SECRET_KEY_PATTERN = /^[-._a-zA-Z0-9]+$/
+
+/**
+ * Compile a regular expression of an external secret. Patterns that can
+ * backtrack catastrophically are rejected, as matching them could block the
+ * controller for all namespaces.
+ * @param {string} source - Regular expression.
+ * @param {string} option - Option the expression is set with, e.g. include.
+ * @returns {RegExp} Compiled regular expression.
+ * @throws {Error} If the expression is invalid or unsafe.
+ */
+function compilePattern (source, option) {
+  let pattern
+  try {
+    pattern = new RegExp(source)
+  } catch (err) {
+    throw new Error(`Invalid ${option} pattern ${source}, ${err.message}`)
+  }
+
+  if (!safeRegex(pattern)) {
+    throw new Error(`Unsafe ${option} pattern ${source}, avoid nested quantifiers such as (a+)+`)
+  }
+
+  return pattern
+}
+
+// Reason of errors raised by the backend service, as opposed to errors of
+// malformed secret values or secret descriptors.
+const BACKEND_ERROR_REASON = 'BackendError'
+
+// Reason of errors of the backend service denying access, e.g. to a role or key.
+const NOT_PERMITTED_REASON = 'NotPermitted'
+
+// Reason of errors about secret values the backend doesn't have or can't
+// return, e.g. missing keys, set by the backends themselves.
+const INVALID_SECRET_DATA_REASON = 'InvalidSecretData'
+
+// Error codes of denied access: AWS and STS, and PERMISSION_DENIED of gRPC,
+// used by GCP.
+const ACCESS_DENIED_CODES = ['AccessDenied', 'AccessDeniedException', 7]
+
+/**
+ * Check whether an error of a backend service means access was denied.
+ * Vault, Azure and AWS answer with HTTP status 403.
+ * @param {Error} err - Error of the backend service.
+ * @returns {boolean} Whether access was denied.
+ */
+function isAccessDenied (err) {
+  const statusCode = err.response ? err.response.statusCode : err.statusCode
+  return statusCode === 403 || ACCESS_DENIED_CODES.includes(err.code)
+}
 
 /** Key Value backend class. */
 class KVBackend extends AbstractBackend {
@@ -13,75 +74,359 @@ class KVBackend extends AbstractBackend {
     this._logger = logger
   }
 
+  /**
+   * Call the backend service, marking its errors with reason NotPermitted if
+   * access was denied, or else BackendError, unless they have a reason.
+   * @param {Function} fetch - Calls the backend service.
+   * @returns {Promise} Promise object representing the result of fetch.
+   */
+  async _fromBackend (fetch) {
+    try {
+      return await fetch()
+    } catch (err) {
+      if (!err.reason) {
+        err.reason = isAccessDenied(err) ? NOT_PERMITTED_REASON : BACKEND_ERROR_REASON
+      }
+      throw err
+    }
+  }
+
+  /**
+   * Validate the options of an external secret before calling the backend
+   * service, so that mistakes in them aren't reported as backend errors.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @throws {Error} If options the backend requires are missing.
+   */
+  _validateSpecOptions () {}
+
+  /**
+   * Parse a secret value, logging a warning if it is not formatted as expected.
+   * An unknown format always fails, as it's a mistake in the secret descriptor.
+   * @param {string} key - Secret key in the backend.
+   * @param {string|Buffer} value - Secret value.
+   * @param {string} format - Format of the value, see parseValue.
+   * @param {boolean} strict - Throw instead of warning if the value is malformed.
+   * @returns {Object} Parsed properties, or undefined if the value is malformed.
+   */
+  _parseValue ({ key, value, format = 'json', strict = false }) {
+    validateFormat(format)
+
+    try {
+      return parseValue(value, format)
+    } catch (err) {
+      const message = `Failed to parse value for '${key}' as ${format} (${err.message})`
+      if (strict) {
+        throw new Error(message)
+      }
+
+      this._logger.warn(`${message}, please verify that your secret value is correctly formatted.`)
+    }
+  }
+
+  /**
+   * Decode a secret value, e.g. a base64 encoded TLS key.
+   * @param {string} key - Secret key in the backend.
+   * @param {string|Buffer} value - Secret value.
+   * @param {string} decodingStrategy - Encoding of the value, see decodeValue.
+   * @returns {string|Buffer} Decoded value.
+   */
+  _decodeValue ({ key, value, decodingStrategy }) {
+    try {
+      return decodeValue(value, decodingStrategy)
+    } catch (err) {
+      throw new Error(`Could not decode ${key}, ${err.message}`)
+    }
+  }
+
   /**
    * Fetch Kubernetes secret property values.
    * @param {Object[]} data - Kubernetes secret properties.
    * @param {string} data[].key - Secret key in the backend.
    * @param {string} data[].name - Kubernetes Secret property name.
    * @param {string} data[].property - If the backend secret is an
-   *   object, this is the property name of the value to use.
-   * @param {string} roleArn - If the client should assume a role before fetching the secret
+   *   object, this is the property path of the value to use, e.g. db.password.
+   * @param {string} data[].format - Format of the backend secret: json (default),
+   *   yaml, dotenv, ini or plain.
+   * @param {string} data[].decodingStrategy - Decoding of the value: base64,
+   *   base64url, hex or none (default).
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @param {boolean} strict - Fail on malformed and missing values instead of skipping them.
    * @returns {Promise} Promise object representing secret property values.
    */
-  _fetchDataValues ({ data, roleArn }) {
-    return Promise.all(data.map(async secretProperty => {
-      this._logger.info(`fetching secret property ${secretProperty.name} with role: ${roleArn || 'no role set'}`)
-      const plainOrObjValue = await this._get({ secretKey: secretProperty.key, roleArn })
-      const shouldParseValue = 'property' in secretProperty
+  async _fetchDataValues ({ data, specOptions = {}, strict = false }) {
+    const keys = data.map(({ key, name, property, format, decodingStrategy, ...keyOptions }) => {
+      if (format !== undefined) {
+        validateFormat(format)
+      }
+
+      if (format === 'plain' && property !== undefined) {
+        throw new Error(`Could not read property ${property} of ${key}, values with format plain have no properties`)
+      }
+
+      this._logger.info(`fetching secret property ${name} with role: ${specOptions.roleArn || 'no role set'}`)
+      return { secretKey: key, keyOptions }
+    })
+    const plainOrObjValues = await this._fromBackend(() => this._getMany({ keys, specOptions }))
+
+    return data.map(({ key, name, property, format, decodingStrategy }, index) => {
+      const shouldParseValue = property !== undefined
 
-      let value = plainOrObjValue
+      let value = plainOrObjValues[index]
       if (shouldParseValue) {
-        let parsedValue
+        const parsedValue = this._parseValue({ key, value, format, strict })
+        if (parsedValue === undefined) {
+          return
+        }
+
         try {
-          parsedValue = JSON.parse(value)
+          value = getProperty(parsedValue, property)
         } catch (err) {
-          this._logger.warn(`Failed to JSON.parse value for '${secretProperty.key}',` +
-           ` please verify that your secret value is correctly formatted as JSON.` +
-           ` To use plain text secret remove the 'property: ${secretProperty.property}'`)
-          return
+          throw new Error(`Could not find property ${property} in ${key}, ${err.message}`)
         }
 
-        if (!(secretProperty.property in parsedValue)) {
-          throw new Error(`Could not find property ${secretProperty.property} in ${secretProperty.key}`)
+        // Nested objects end up as JSON in the Kubernetes secret.
+        if (value !== null && typeof value === 'object') {
+          value = JSON.stringify(value)
         }
+      }
 
-        value = parsedValue[secretProperty.property]
+      if (strict && (value === undefined || value === null)) {
+        throw new Error(`Could not find a value for ${name} in ${key}`)
       }
 
-      return { [secretProperty.name]: value }
-    }))
+      return { [name]: this._decodeValue({ key, value, decodingStrategy }) }
+    })
   }
 
   /**
    * Fetch Kubernetes secret property values.
-   * @param {string[]} dataFrom - Array of secret keys in the backend
-   * @param {string} roleArn - If the client should assume a role before fetching the secret
+   * @param {Array<string|Object>} dataFrom - Array of secret keys in the backend,
+   *   or of objects with either a key or a path to import all secrets below.
+   * @param {string} dataFrom[].key - Secret key in the backend.
+   * @param {string} dataFrom[].format - Format of the backend secret: json (default),
+   *   yaml, dotenv or ini.
+   * @param {string} dataFrom[].path - Path prefix of the secrets in the backend,
+   *   their values are imported as they are, without a format.
+   * @param {string} dataFrom[].decodingStrategy - Decoding of all values of
+   *   the entry: base64, base64url, hex or none (default).
+   * @param {string} dataFrom[].include - Only import properties with names matching this regular expression.
+   * @param {string} dataFrom[].exclude - Skip properties with names matching this regular expression.
+   * @param {string} dataFrom[].prefix - Prefix for the imported property names.
+   * @param {Object[]} dataFrom[].rename - Rename rules, see _transformKeys.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @param {boolean} strict - Fail on malformed values instead of skipping them.
    * @returns {Promise} Promise object representing secret property values.
    */
-  _fetchDataFromValues ({ dataFrom, roleArn }) {
-    return Promise.all(dataFrom.map(async secretKey => {
-      this._logger.info(`fetching secret ${secretKey} with role: ${roleArn || 'no role set'}`)
-      const value = await this._get({ secretKey, roleArn })
-
-      try {
-        return JSON.parse(value)
-      } catch (err) {
-        this._logger.warn(`Failed to JSON.parse value for '${secretKey}',` +
-           ` please verify that your secret value is correctly formatted as JSON.`)
+  _fetchDataFromValues ({ dataFrom, specOptions = {}, strict = false }) {
+    return Promise.all(dataFrom.map(async dataFromItem => {
+      const { decodingStrategy, include, exclude, prefix, rename, ...item } = typeof dataFromItem === 'string'
+        ? { key: dataFromItem }
+        : dataFromItem
+      const values = await this._fetchDataFromItemValues({ item, specOptions, strict })
+
+      if (values === undefined) {
+        return values
       }
+
+      const entries = Object.entries(values).map(([name, value]) =>
+        [name, this._decodeValue({ key: item.key || item.path, value, decodingStrategy })])
+
+      return Object.fromEntries(this._transformKeys({ entries, include, exclude, prefix, rename }))
     }))
   }
 
+  /**
+   * Filter and rename the properties imported by a dataFrom entry, and
+   * replace characters that are not allowed in Kubernetes Secret keys with _.
+   * Fails if several properties end up with the same key, or a key is invalid.
+   * @param {Array[]} entries - Property names and values.
+   * @param {string} include - Only keep properties with names matching this regular expression.
+   * @param {string} exclude - Drop properties with names matching this regular expression.
+   * @param {string} prefix - Prefix for all property names.
+   * @param {Object[]} rename - Rename rules, applied in order before the prefix.
+   * @param {string} rename[].from - Regular expression the whole name has to match.
+   * @param {string} rename[].to - New name, can reference groups of from, e.g. $1.
+   * @returns {Array[]} Transformed property names and values.
+   */
+  _transformKeys ({ entries, include, exclude, prefix = '', rename = [] }) {
+    const includePattern = include === undefined ? null : compilePattern(include, 'include')
+    const excludePattern = exclude === undefined ? null : compilePattern(exclude, 'exclude')
+    const renamePatterns = rename.map(({ from, to }) => ({ pattern: compilePattern(`^(?:${from})$`, 'rename'), to }))
+    const names = new Map()
+
+    return entries
+      .filter(([name]) => !includePattern || includePattern.test(name))
+      .filter(([name]) => !excludePattern || !excludePattern.test(name))
+      .map(([name, value]) => {
+        const rule = renamePatterns.find(({ pattern }) => pattern.test(name))
+        const renamed = rule ? name.replace(rule.pattern, rule.to) : name
+        const key = `${prefix}${renamed}`.replace(/[^-._a-zA-Z0-9]/g, '_')
+
+        if (!SECRET_KEY_PATTERN.test(key) || key === '.' || key === '..') {
+          throw new Error(`Invalid key "${key}" for property "${name}", keys must consist of alphanumeric characters, -, _ or . and not be . or ..`)
+        }
+        if (names.has(key)) {
+          throw new Error(`Properties "${names.get(key)}" and "${name}" both become the key ${key}, use rename to tell them apart`)
+        }
+        names.set(key, name)
+
+        return [key, value]
+      })
+  }
+
+  /**
+   * Fetch the Kubernetes secret property values of a single dataFrom entry.
+   * @param {Object} item - dataFrom entry, see _fetchDataFromValues.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @param {boolean} strict - Fail on malformed values instead of skipping them.
+   * @returns {Promise} Promise object representing secret property values.
+   */
+  async _fetchDataFromItemValues ({
+    item: { key: secretKey, path, format, ...keyOptions },
+    specOptions,
+    strict
+  }) {
+    if (format !== undefined) {
+      validateFormat(format)
+    }
+
+    if (path !== undefined) {
+      if (format !== undefined && format !== 'plain') {
+        throw new Error(`Could not read secrets below ${path} as ${format}, secrets imported with path are not parsed`)
+      }
+
+      return this._fetchPathValues({ path, specOptions, keyOptions })
+    }
+
+    if (format === 'plain') {
+      throw new Error(`Could not read properties of ${secretKey}, values with format plain have no properties`)
+    }
+
+    this._logger.info(`fetching secret ${secretKey} with role: ${specOptions.roleArn || 'no role set'}`)
+    const value = await this._fromBackend(() => this._get({ secretKey, specOptions, keyOptions }))
+
+    return this._parseValue({ key: secretKey, value, format, strict })
+  }
+
+  /**
+   * Fetch all secrets below a path, keyed by their names relative to the path.
+   * @param {string} path - Path prefix of the secrets in the backend.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @param {Object} keyOptions - Options for this path.
+   * @param {boolean} keyOptions.recursive - Also import secrets nested deeper below the path.
+   * @param {boolean} keyOptions.stripPrefix - Remove the path from the Kubernetes Secret property names.
+   * @param {string} keyOptions.slashReplacement - Replaces the remaining slashes in property names.
+   * @returns {Promise} Promise object representing secret property values.
+   */
+  async _fetchPathValues ({
+    path,
+    specOptions,
+    keyOptions: {
+      recursive = true,
+      stripPrefix = true,
+      slashReplacement = '_'
+    }
+  }) {
+    if (this._getByPath === KVBackend.prototype._getByPath) {
+      throw new Error(`Could not import secrets below ${path}, the backend doesn't support path`)
+    }
+
+    this._logger.info(`fetching secrets below path ${path} with role: ${specOptions.roleArn || 'no role set'}`)
+    const values = await this._fromBackend(() => this._getByPath({ path, recursive, specOptions }))
+
+    return Object.fromEntries(Object.entries(values).map(([secretKey, value]) => {
+      const name = (stripPrefix && secretKey.startsWith(path) ? secretKey.slice(path.length) : secretKey)
+        .replace(/^\/+/, '')
+        .split('/')
+        .join(slashReplacement)
+
+      return [name, value]
+    }))
+  }
+
+  /**
+   * Get all secret values below a path from Key Value backend.
+   * @param {string} path - Path prefix of the secrets in the backend.
+   * @param {boolean} recursive - Also get secrets nested deeper below the path.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @returns {Promise} Promise object representing secret values keyed by their full names.
+   */
+  _getByPath () {
+    throw new Error('_getByPath not implemented')
+  }
+
+  /**
+   * Get several secret property values from Key Value backend. Backends
+   * that can fetch several keys in one request should override this,
+   * by default each key is fetched on its own.
+   * @param {Object[]} keys - Secret keys to fetch.
+   * @param {string} keys[].secretKey - Secret key in the backend.
+   * @param {Object} keys[].keyOptions - Options for this specific key, e.g. version.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @returns {Promise} Promise object representing secret property values, in the order of keys.
+   */
+  _getMany ({ keys, specOptions }) {
+    return Promise.all(keys.map(({ secretKey, keyOptions }) =>
+      this._get({ secretKey, specOptions, keyOptions })))
+  }
+
   /**
    * Get a secret property value from Key Value backend.
+   * @param {string} secretKey - Secret key in the backend.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @param {Object} keyOptions - Options for this specific key, e.g. version.
    */
   _get () {
     throw new Error('_get not implemented')
   }
 
+  /**
+   * Merge the property values of all dataFrom and then all data entries,
+   * resolving names defined by several entries with a conflict policy, so
+   * that with lastWins data entries override dataFrom entries.
+   * @param {Object[]} sources - Property values of each entry.
+   * @param {string} sources[].source - Description of the entry, for messages.
+   * @param {Object} sources[].values - Property values of the entry.
+   * @param {string} conflictPolicy - What to do about names defined by several
+   *   entries: error, firstWins or lastWins.
+   * @returns {Object} Merged property values.
+   */
+  _mergeValues ({ sources, conflictPolicy }) {
+    if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+      throw new Error(`Unknown conflictPolicy ${conflictPolicy}, use one of ${CONFLICT_POLICIES.join(', ')}`)
+    }
+
+    const merged = new Map()
+    const origins = new Map()
+
+    sources.forEach(({ source, values = {} }) => {
+      Object.entries(values).forEach(([name, value]) => {
+        if (origins.has(name)) {
+          const message = `${name} is defined by both ${origins.get(name)} and ${source}`
+          if (conflictPolicy === 'error') {
+            throw new Error(`Conflicting keys, ${message}`)
+          }
+
+          this._logger.warn(`${message}, using the value of ${conflictPolicy === 'firstWins' ? origins.get(name) : source}`)
+          if (conflictPolicy === 'firstWins') return
+        }
+
+        merged.set(name, value)
+        origins.set(name, source)
+      })
+    })
+
+    return Object.fromEntries(merged)
+  }
+
   /**
    * Fetch Kubernetes secret manifest data.
    * @param {SecretDescriptor} secretDescriptor - Kubernetes secret descriptor.
+   * @param {Object} context - External secret the data is fetched for.
+   * @param {string} context.namespace - Namespace of the external secret.
+   * @param {string} context.name - Name of the external secret.
+   * @param {boolean} strict - Fail on malformed and missing values instead of
+   *   skipping them, unless set by secretDescriptor.strict.
    * @returns {Promise} Promise object representing Kubernetes secret manifest data.
    */
   async getSecretManifestData ({
@@ -90,28 +435,46 @@ class KVBackend extends AbstractBackend {
       properties = [],
       data = properties,
       dataFrom = [],
-      roleArn
-    }
+      conflictPolicy = DEFAULT_CONFLICT_POLICY,
+      strict: secretStrict,
+      ...specOptions
+    },
+    context = {},
+    strict = false
   }) {
+    this._validateSpecOptions(specOptions)
+    const options = { ...specOptions, context }
+    const strictMode = secretStrict === undefined ? strict : secretStrict
     const [dataFromValues, dataValues] = await Promise.all([
-      this._fetchDataFromValues({ dataFrom, roleArn }),
-      this._fetchDataValues({ data, roleArn })
+      this._fetchDataFromValues({ dataFrom, specOptions: options, strict: strictMode }),
+      this._fetchDataValues({ data, specOptions: options, strict: strictMode })
     ])
 
-    const plainValues = dataFromValues.concat(dataValues)
-      .reduce((acc, parsedValue) => ({
-        ...acc,
-        ...parsedValue
-      }), {})
+    const describeSources = (field, items, values) => values.map((itemValues, index) => {
+      const item = items[index] || {}
+      return {
+        source: `${field}[${index}] (${typeof item === 'string' ? item : item.key || item.path})`,
+        values: itemValues
+      }
+    })
+    const plainValues = this._mergeValues({
+      sources: describeSources('dataFrom', dataFrom, dataFromValues)
+        .concat(describeSources('data', data, dataValues)),
+      conflictPolicy
+    })
 
+    // Binary values are encoded as they are, without a round trip through utf8.
     const encodedEntries = Object.entries(plainValues)
       .map(([name, plainValue]) => [
         name,
-        (Buffer.from(`${plainValue}`, 'utf8')).toString('base64')
+        (Buffer.isBuffer(plainValue) ? plainValue : Buffer.from(`${plainValue}`, 'utf8')).toString('base64')
       ])
 
     return Object.fromEntries(encodedEntries)
   }
 }
 
+KVBackend.DEFAULT_CONFLICT_POLICY = DEFAULT_CONFLICT_POLICY
+KVBackend.INVALID_SECRET_DATA_REASON = INVALID_SECRET_DATA_REASON
+
 module.exports = KVBackend
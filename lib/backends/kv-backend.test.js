@@ -42,6 +42,252 @@ describe('SecretsManagerBackend', () => {
       }
     })
 
+    it('names the missing segment of a property path', async () => {
+      kvBackend._get.onFirstCall().resolves('{"db":{"replica":{"password":"bar"}}}')
+      try {
+        await kvBackend._fetchDataValues({
+          data: [{
+            key: 'mocked-key',
+            name: 'mocked-name',
+            property: 'db.primary.password'
+          }]
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Could not find property db.primary.password in mocked-key, "primary" is missing in db')
+        expect(err.reason).equals(undefined)
+      }
+    })
+
+    it('marks errors of the backend service', async () => {
+      kvBackend._get.onFirstCall().rejects(new Error('connect ETIMEDOUT'))
+      try {
+        await kvBackend._fetchDataValues({
+          data: [{
+            key: 'mocked-key',
+            name: 'mocked-name'
+          }]
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('connect ETIMEDOUT')
+        expect(err.reason).equals('BackendError')
+      }
+    })
+
+    it('marks denied access to the backend service', async () => {
+      const awsError = Object.assign(new Error('not authorized to perform: sts:AssumeRole'), { code: 'AccessDenied' })
+      const vaultError = Object.assign(new Error('permission denied'), { response: { statusCode: 403 } })
+      const gcpError = Object.assign(new Error('7 PERMISSION_DENIED'), { code: 7 })
+
+      for (const error of [awsError, vaultError, gcpError]) {
+        kvBackend._get = sinon.stub().rejects(error)
+        try {
+          await kvBackend._fetchDataValues({
+            data: [{ key: 'mocked-key', name: 'mocked-name' }]
+          })
+          expect.fail('Should not reach')
+        } catch (err) {
+          expect(err.reason).equals('NotPermitted')
+        }
+      }
+    })
+
+    it('keeps the reason of errors set by the backend', async () => {
+      const error = Object.assign(new Error('Invalid parameters: mocked-key'), { reason: 'InvalidSecretData' })
+      kvBackend._get.onFirstCall().rejects(error)
+      try {
+        await kvBackend._fetchDataValues({
+          data: [{ key: 'mocked-key', name: 'mocked-name' }]
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.reason).equals('InvalidSecretData')
+      }
+    })
+
+    it('parses values with the given format', async () => {
+      kvBackend._get.onFirstCall().resolves('[db]\npassword=bar\n')
+      kvBackend._get.onSecondCall().resolves('TOKEN=baz\n')
+      kvBackend._get.onThirdCall().resolves('{"plain":"value"}')
+      const secretPropertyValues = await kvBackend._fetchDataValues({
+        data: [{
+          key: 'mocked-ini',
+          name: 'password',
+          property: 'db.password',
+          format: 'ini'
+        }, {
+          key: 'mocked-env',
+          name: 'token',
+          property: 'TOKEN',
+          format: 'dotenv'
+        }, {
+          key: 'mocked-plain',
+          name: 'plain',
+          format: 'plain'
+        }]
+      })
+      expect(kvBackend._get.firstCall.args[0].keyOptions).deep.equals({})
+      expect(secretPropertyValues).to.deep.equal([
+        { password: 'bar' },
+        { token: 'baz' },
+        { plain: '{"plain":"value"}' }
+      ])
+    })
+
+    it('warns about values not matching their format', async () => {
+      kvBackend._get.onFirstCall().resolves('foo: [bar')
+      const secretPropertyValues = await kvBackend._fetchDataValues({
+        data: [{
+          key: 'mocked-key',
+          name: 'mocked-name',
+          property: 'foo',
+          format: 'yaml'
+        }]
+      })
+      expect(secretPropertyValues).to.deep.equal([undefined])
+      expect(loggerMock.warn.calledOnce).to.equal(true)
+      expect(loggerMock.warn.firstCall.args[0]).to.match(/^Failed to parse value for 'mocked-key' as yaml/)
+    })
+
+    it('fails on unknown formats', async () => {
+      kvBackend._get.resolves('foo: bar')
+
+      for (const entry of [{ property: 'foo', format: 'yml' }, { format: 'yml' }]) {
+        try {
+          await kvBackend._fetchDataValues({
+            data: [{ key: 'mocked-key', name: 'mocked-name', ...entry }]
+          })
+          expect.fail('Should not reach')
+        } catch (err) {
+          expect(err.message).equals('Unknown format yml, use one of json, yaml, dotenv, ini, plain')
+        }
+      }
+      expect(kvBackend._get.called).to.equal(false)
+    })
+
+    it('decodes values', async () => {
+      kvBackend._get.onFirstCall().resolves('{"key":"a2V5\\nYmluYXJ5"}')
+      kvBackend._get.onSecondCall().resolves('_-8')
+      kvBackend._get.onThirdCall().resolves('plain')
+      const secretPropertyValues = await kvBackend._fetchDataValues({
+        data: [{
+          key: 'mocked-json',
+          name: 'tls.key',
+          property: 'key',
+          decodingStrategy: 'base64'
+        }, {
+          key: 'mocked-token',
+          name: 'token',
+          decodingStrategy: 'base64url'
+        }, {
+          key: 'mocked-plain',
+          name: 'plain',
+          decodingStrategy: 'none'
+        }]
+      })
+      expect(kvBackend._get.firstCall.args[0].keyOptions).deep.equals({})
+      expect(secretPropertyValues).to.deep.equal([
+        { 'tls.key': Buffer.from('keybinary') },
+        { token: Buffer.from([0xff, 0xef]) },
+        { plain: 'plain' }
+      ])
+    })
+
+    it('rejects values that are not encoded as expected', async () => {
+      kvBackend._get.onFirstCall().resolves('not hex')
+      try {
+        await kvBackend._fetchDataValues({
+          data: [{
+            key: 'mocked-key',
+            name: 'mocked-name',
+            decodingStrategy: 'hex'
+          }]
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Could not decode mocked-key, Value is not hex encoded')
+      }
+    })
+
+    it('fails on malformed values in strict mode', async () => {
+      kvBackend._get.onFirstCall().resolves('not json')
+      try {
+        await kvBackend._fetchDataValues({
+          data: [{ key: 'mocked-key', name: 'mocked-name', property: 'foo' }],
+          strict: true
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).to.match(/^Failed to parse value for 'mocked-key' as json \(/)
+      }
+    })
+
+    it('fails on missing values in strict mode', async () => {
+      kvBackend._get.onFirstCall().resolves('{"foo":null}')
+      kvBackend._get.onSecondCall().resolves(undefined)
+
+      const data = [
+        { key: 'mocked-json', name: 'foo', property: 'foo' },
+        { key: 'mocked-key', name: 'mocked-name' }
+      ]
+      const secretPropertyValues = await kvBackend._fetchDataValues({ data })
+      expect(secretPropertyValues).deep.equals([{ foo: null }, { 'mocked-name': undefined }])
+
+      kvBackend._get.resetHistory()
+      try {
+        await kvBackend._fetchDataValues({ data, strict: true })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Could not find a value for foo in mocked-json')
+      }
+    })
+
+    it('rejects properties of plain values', async () => {
+      try {
+        await kvBackend._fetchDataValues({
+          data: [{
+            key: 'mocked-key',
+            name: 'mocked-name',
+            property: 'foo',
+            format: 'plain'
+          }]
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Could not read property foo of mocked-key, values with format plain have no properties')
+      }
+    })
+
+    it('handles nested property paths', async () => {
+      kvBackend._get.resolves('{"db":{"primary":{"password":"bar"}},"users":[{"token":"baz"}],"tls.crt":"qux"}')
+      const secretPropertyValues = await kvBackend._fetchDataValues({
+        data: [{
+          key: 'mocked-key',
+          name: 'password',
+          property: 'db.primary.password'
+        }, {
+          key: 'mocked-key',
+          name: 'token',
+          property: '$.users[0].token'
+        }, {
+          key: 'mocked-key',
+          name: 'crt',
+          property: 'tls.crt'
+        }, {
+          key: 'mocked-key',
+          name: 'primary',
+          property: 'db.primary'
+        }]
+      })
+      expect(secretPropertyValues).to.deep.equal([
+        { password: 'bar' },
+        { token: 'baz' },
+        { crt: 'qux' },
+        { primary: '{"password":"bar"}' }
+      ])
+    })
+
     it('handles secrets values that are objects', async () => {
       kvBackend._get.onFirstCall().resolves('{"foo":"bar"}')
       const secretPropertyValues = await kvBackend._fetchDataValues({
@@ -84,11 +330,13 @@ describe('SecretsManagerBackend', () => {
       expect(loggerMock.info.calledWith('fetching secret property fakePropertyName2 with role: no role set')).to.equal(true)
       expect(kvBackend._get.calledWith({
         secretKey: 'fakePropertyKey1',
-        roleArn: undefined
+        specOptions: {},
+        keyOptions: {}
       })).to.equal(true)
       expect(kvBackend._get.calledWith({
         secretKey: 'fakePropertyKey2',
-        roleArn: undefined
+        specOptions: {},
+        keyOptions: {}
       })).to.equal(true)
       expect(secretPropertyValues).deep.equals([{ fakePropertyName1: 'fakePropertyValue1' }, { fakePropertyName2: 'fakePropertyValue2' }])
     })
@@ -105,18 +353,20 @@ describe('SecretsManagerBackend', () => {
           key: 'fakePropertyKey2',
           name: 'fakePropertyName2'
         }],
-        roleArn: 'secretDescriptiorRole'
+        specOptions: { roleArn: 'secretDescriptiorRole' }
       })
 
       expect(loggerMock.info.calledWith('fetching secret property fakePropertyName1 with role: secretDescriptiorRole')).to.equal(true)
       expect(loggerMock.info.calledWith('fetching secret property fakePropertyName2 with role: secretDescriptiorRole')).to.equal(true)
       expect(kvBackend._get.calledWith({
         secretKey: 'fakePropertyKey1',
-        roleArn: 'secretDescriptiorRole'
+        specOptions: { roleArn: 'secretDescriptiorRole' },
+        keyOptions: {}
       })).to.equal(true)
       expect(kvBackend._get.calledWith({
         secretKey: 'fakePropertyKey2',
-        roleArn: 'secretDescriptiorRole'
+        specOptions: { roleArn: 'secretDescriptiorRole' },
+        keyOptions: {}
       })).to.equal(true)
       expect(secretPropertyValues).deep.equals([{ fakePropertyName1: 'fakePropertyValue1' }, { fakePropertyName2: 'fakePropertyValue2' }])
     })
@@ -143,6 +393,164 @@ describe('SecretsManagerBackend', () => {
       expect(dataFromValues).to.deep.equal([undefined])
     })
 
+    it('parses values with the given format', async () => {
+      kvBackend._get.onFirstCall().resolves('FOO=bar\nBAZ="qux"\n')
+      kvBackend._get.onSecondCall().resolves('foo: bar\n')
+
+      const dataFromValues = await kvBackend._fetchDataFromValues({
+        dataFrom: [{ key: 'mocked-env', format: 'dotenv' }, { key: 'mocked-yaml', format: 'yaml' }]
+      })
+
+      expect(kvBackend._get.firstCall.args[0].keyOptions).deep.equals({})
+      expect(dataFromValues).to.deep.equal([{ FOO: 'bar', BAZ: 'qux' }, { foo: 'bar' }])
+    })
+
+    it('decodes all values of an entry', async () => {
+      kvBackend._get.onFirstCall().resolves('{"tls.key":"a2V5","tls.crt":"Y3J0"}')
+      kvBackend._getByPath = sinon.stub().resolves({ '/certs/ca': '636130' })
+
+      const dataFromValues = await kvBackend._fetchDataFromValues({
+        dataFrom: [
+          { key: 'mocked-key', decodingStrategy: 'base64' },
+          { path: '/certs/', decodingStrategy: 'hex' }
+        ]
+      })
+
+      expect(kvBackend._get.firstCall.args[0].keyOptions).deep.equals({})
+      expect(kvBackend._getByPath.firstCall.args[0].recursive).equals(true)
+      expect(dataFromValues).to.deep.equal([
+        { 'tls.key': Buffer.from('key'), 'tls.crt': Buffer.from('crt') },
+        { ca: Buffer.from('ca0') }
+      ])
+    })
+
+    it('filters and renames imported keys', async () => {
+      kvBackend._get.onFirstCall().resolves(JSON.stringify({
+        DB_USER: 'admin',
+        DB_PASSWORD: 'p@ss',
+        DB_ROOT_PASSWORD: 'root',
+        API_TOKEN: 'token',
+        'tls.crt': 'crt'
+      }))
+
+      const dataFromValues = await kvBackend._fetchDataFromValues({
+        dataFrom: [{
+          key: 'mocked-key',
+          include: '^DB_',
+          exclude: 'ROOT',
+          prefix: 'db-',
+          rename: [{ from: 'DB_(.*)', to: '$1' }]
+        }]
+      })
+
+      expect(kvBackend._get.firstCall.args[0].keyOptions).deep.equals({})
+      expect(dataFromValues).to.deep.equal([{ 'db-USER': 'admin', 'db-PASSWORD': 'p@ss' }])
+    })
+
+    it('applies the first matching rename rule', async () => {
+      kvBackend._get.onFirstCall().resolves('{"user":"admin","password":"p@ss"}')
+
+      const dataFromValues = await kvBackend._fetchDataFromValues({
+        dataFrom: [{
+          key: 'mocked-key',
+          rename: [
+            { from: 'pass', to: 'ignored' },
+            { from: 'password', to: 'PGPASSWORD' },
+            { from: 'pass.*', to: 'ignored' }
+          ]
+        }]
+      })
+
+      expect(dataFromValues).to.deep.equal([{ user: 'admin', PGPASSWORD: 'p@ss' }])
+    })
+
+    it('sanitizes imported keys', async () => {
+      kvBackend._get.onFirstCall().resolves('{"api key":"a","db/password":"b","tls.crt":"c","ok-_.Key0":"d"}')
+
+      const dataFromValues = await kvBackend._fetchDataFromValues({
+        dataFrom: ['mocked-key']
+      })
+
+      expect(dataFromValues).to.deep.equal([{
+        api_key: 'a',
+        db_password: 'b',
+        'tls.crt': 'c',
+        'ok-_.Key0': 'd'
+      }])
+    })
+
+    it('rejects keys that become equal after sanitizing', async () => {
+      kvBackend._get.onFirstCall().resolves('{"api key":"a","api_key":"b"}')
+
+      try {
+        await kvBackend._fetchDataFromValues({
+          dataFrom: ['mocked-key']
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Properties "api key" and "api_key" both become the key api_key, use rename to tell them apart')
+      }
+    })
+
+    it('rejects invalid keys', async () => {
+      kvBackend._get.onFirstCall().resolves('{"user":"admin","parent":"p"}')
+
+      try {
+        await kvBackend._fetchDataFromValues({
+          dataFrom: [{ key: 'mocked-key', rename: [{ from: 'parent', to: '..' }] }]
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Invalid key ".." for property "parent", keys must consist of alphanumeric characters, -, _ or . and not be . or ..')
+      }
+    })
+
+    it('rejects unsafe patterns', async () => {
+      kvBackend._get.resolves('{"user":"admin"}')
+
+      for (const [item, message] of [
+        [{ include: '(a+)+$' }, 'Unsafe include pattern (a+)+$, avoid nested quantifiers such as (a+)+'],
+        [{ exclude: '(x+x+)+y' }, 'Unsafe exclude pattern (x+x+)+y, avoid nested quantifiers such as (a+)+'],
+        [{ rename: [{ from: '(.*)*', to: 'user' }] }, 'Unsafe rename pattern ^(?:(.*)*)$, avoid nested quantifiers such as (a+)+'],
+        [{ include: '(' }, 'Invalid include pattern (, Invalid regular expression: /(/: Unterminated group']
+      ]) {
+        try {
+          await kvBackend._fetchDataFromValues({
+            dataFrom: [{ key: 'mocked-key', ...item }]
+          })
+          expect.fail('Should not reach')
+        } catch (err) {
+          expect(err.message).equals(message)
+        }
+      }
+    })
+
+    it('fails on malformed values in strict mode', async () => {
+      kvBackend._get.onFirstCall().resolves('{')
+
+      try {
+        await kvBackend._fetchDataFromValues({
+          dataFrom: ['mocked-key'],
+          strict: true
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).to.match(/^Failed to parse value for 'mocked-key' as json \(/)
+      }
+      expect(loggerMock.warn.called).to.equal(false)
+    })
+
+    it('rejects the plain format', async () => {
+      try {
+        await kvBackend._fetchDataFromValues({
+          dataFrom: [{ key: 'mocked-key', format: 'plain' }]
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Could not read properties of mocked-key, values with format plain have no properties')
+      }
+    })
+
     it('disregards plain values', async () => {
       kvBackend._get.onFirstCall().resolves('fakePropertyValue1')
 
@@ -152,7 +560,8 @@ describe('SecretsManagerBackend', () => {
 
       expect(kvBackend._get.calledWith({
         secretKey: 'fakePropertyKey1',
-        roleArn: undefined
+        specOptions: {},
+        keyOptions: {}
       })).to.equal(true)
       expect(dataFromValues).deep.equals([undefined])
     })
@@ -163,21 +572,135 @@ describe('SecretsManagerBackend', () => {
 
       const dataFromValues = await kvBackend._fetchDataFromValues({
         dataFrom: ['fakePropertyKey1', 'fakePropertyKey2'],
-        roleArn: 'secretDescriptiorRole'
+        specOptions: { roleArn: 'secretDescriptiorRole' }
       })
 
       expect(kvBackend._get.calledWith({
         secretKey: 'fakePropertyKey1',
-        roleArn: 'secretDescriptiorRole'
+        specOptions: { roleArn: 'secretDescriptiorRole' },
+        keyOptions: {}
       })).to.equal(true)
       expect(kvBackend._get.calledWith({
         secretKey: 'fakePropertyKey2',
-        roleArn: 'secretDescriptiorRole'
+        specOptions: { roleArn: 'secretDescriptiorRole' },
+        keyOptions: {}
       })).to.equal(true)
       expect(dataFromValues).deep.equals([{ fakePropertyName1: 'fakePropertyValue1' }, { fakePropertyName2: 'fakePropertyValue2' }])
     })
   })
 
+  describe('_getMany', () => {
+    it('gets each key on its own', async () => {
+      kvBackend._get = sinon.stub()
+      kvBackend._get.onFirstCall().resolves('fakePropertyValue1')
+      kvBackend._get.onSecondCall().resolves('fakePropertyValue2')
+
+      const values = await kvBackend._getMany({
+        keys: [{
+          secretKey: 'fakePropertyKey1',
+          keyOptions: {}
+        }, {
+          secretKey: 'fakePropertyKey2',
+          keyOptions: { version: 2 }
+        }],
+        specOptions: { roleArn: 'secretDescriptiorRole' }
+      })
+
+      expect(kvBackend._get.getCall(1).args).deep.equals([{
+        secretKey: 'fakePropertyKey2',
+        specOptions: { roleArn: 'secretDescriptiorRole' },
+        keyOptions: { version: 2 }
+      }])
+      expect(values).deep.equals(['fakePropertyValue1', 'fakePropertyValue2'])
+    })
+  })
+
+  describe('_fetchPathValues', () => {
+    beforeEach(() => {
+      kvBackend._getByPath = sinon.stub().resolves({
+        '/fake/path/name1': 'fakeValue1',
+        '/fake/path/nested/name2': 'fakeValue2'
+      })
+    })
+
+    it('fetches all values below a path', async () => {
+      const dataFromValues = await kvBackend._fetchDataFromValues({
+        dataFrom: [{ path: '/fake/path/' }],
+        specOptions: { roleArn: 'secretDescriptiorRole' }
+      })
+
+      expect(kvBackend._getByPath.calledWith({
+        path: '/fake/path/',
+        recursive: true,
+        specOptions: { roleArn: 'secretDescriptiorRole' }
+      })).to.equal(true)
+      expect(dataFromValues).deep.equals([{
+        name1: 'fakeValue1',
+        nested_name2: 'fakeValue2'
+      }])
+    })
+
+    it('keeps the prefix and replaces slashes as configured', async () => {
+      const dataFromValues = await kvBackend._fetchDataFromValues({
+        dataFrom: [{
+          path: '/fake/path',
+          recursive: false,
+          stripPrefix: false,
+          slashReplacement: '.'
+        }]
+      })
+
+      expect(kvBackend._getByPath.calledWith({
+        path: '/fake/path',
+        recursive: false,
+        specOptions: {}
+      })).to.equal(true)
+      expect(dataFromValues).deep.equals([{
+        'fake.path.name1': 'fakeValue1',
+        'fake.path.nested.name2': 'fakeValue2'
+      }])
+    })
+
+    it('rejects formats', async () => {
+      try {
+        await kvBackend._fetchDataFromValues({
+          dataFrom: [{ path: '/fake/path/', format: 'yaml' }]
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Could not read secrets below /fake/path/ as yaml, secrets imported with path are not parsed')
+      }
+      expect(kvBackend._getByPath.called).to.equal(false)
+    })
+  })
+
+  describe('_getByPath', () => {
+    it('is required for path entries', async () => {
+      try {
+        await new KVBackend({ logger: loggerMock })._fetchDataFromValues({
+          dataFrom: [{ path: '/fake/path/' }]
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Could not import secrets below /fake/path/, the backend doesn\'t support path')
+        expect(err).to.not.have.property('reason')
+      }
+    })
+
+    it('throws an error', () => {
+      let error
+
+      try {
+        kvBackend._getByPath()
+      } catch (err) {
+        error = err
+      }
+
+      expect(error).to.not.equal(undefined)
+      expect(error.message).equals('_getByPath not implemented')
+    })
+  })
+
   describe('_get', () => {
     it('throws an error', () => {
       let error
@@ -233,6 +756,80 @@ describe('SecretsManagerBackend', () => {
       })
     })
 
+    it('resolves conflicting keys with the conflict policy', async () => {
+      kvBackend._fetchDataFromValues.resolves([{ password: 'first', user: 'admin' }, { password: 'second' }])
+      kvBackend._fetchDataValues.resolves([{ password: 'third' }])
+      const secretDescriptor = {
+        dataFrom: ['first-key', { key: 'second-key' }],
+        data: [{ key: 'third-key', name: 'password' }]
+      }
+
+      const lastWins = await kvBackend.getSecretManifestData({ secretDescriptor })
+      expect(lastWins).deep.equals({ password: 'dGhpcmQ=', user: 'YWRtaW4=' })
+      expect(loggerMock.warn.args.map(([message]) => message)).deep.equals([
+        'password is defined by both dataFrom[0] (first-key) and dataFrom[1] (second-key), using the value of dataFrom[1] (second-key)',
+        'password is defined by both dataFrom[1] (second-key) and data[0] (third-key), using the value of data[0] (third-key)'
+      ])
+
+      const firstWins = await kvBackend.getSecretManifestData({
+        secretDescriptor: { ...secretDescriptor, conflictPolicy: 'firstWins' }
+      })
+      expect(firstWins).deep.equals({ password: 'Zmlyc3Q=', user: 'YWRtaW4=' })
+    })
+
+    it('rejects conflicting keys with the error conflict policy', async () => {
+      kvBackend._fetchDataFromValues.resolves([{ password: 'first' }])
+      kvBackend._fetchDataValues.resolves([{ password: 'second' }])
+
+      try {
+        await kvBackend.getSecretManifestData({
+          secretDescriptor: {
+            dataFrom: ['first-key'],
+            data: [{ key: 'second-key', name: 'password' }],
+            conflictPolicy: 'error'
+          }
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Conflicting keys, password is defined by both dataFrom[0] (first-key) and data[0] (second-key)')
+      }
+    })
+
+    it('uses strict mode by default or from the secret descriptor', async () => {
+      await kvBackend.getSecretManifestData({ secretDescriptor: {}, strict: true })
+      expect(kvBackend._fetchDataValues.lastCall.args[0].strict).equals(true)
+      expect(kvBackend._fetchDataFromValues.lastCall.args[0].strict).equals(true)
+
+      await kvBackend.getSecretManifestData({ secretDescriptor: { strict: false }, strict: true })
+      expect(kvBackend._fetchDataValues.lastCall.args[0].strict).equals(false)
+      expect(kvBackend._fetchDataValues.lastCall.args[0].specOptions).deep.equals({ context: {} })
+
+      await kvBackend.getSecretManifestData({ secretDescriptor: { strict: true } })
+      expect(kvBackend._fetchDataFromValues.lastCall.args[0].strict).equals(true)
+    })
+
+    it('rejects unknown conflict policies', async () => {
+      try {
+        await kvBackend.getSecretManifestData({ secretDescriptor: { conflictPolicy: 'merge' } })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Unknown conflictPolicy merge, use one of error, firstWins, lastWins')
+      }
+    })
+
+    it('encodes binary values byte-exact', async () => {
+      kvBackend._fetchDataValues.resolves([{
+        'keystore.p12': Buffer.from([0x30, 0x82, 0x0a, 0xff, 0x00])
+      }])
+
+      const manifestData = await kvBackend
+        .getSecretManifestData({ secretDescriptor: { } })
+
+      expect(manifestData).deep.equals({
+        'keystore.p12': 'MIIK/wA=' // base 64 value of the bytes, not of their utf8 decoding
+      })
+    })
+
     it('handles undefined data', async () => {
       kvBackend._fetchDataValues.resolves([undefined])
       kvBackend._fetchDataFromValues.resolves([undefined])
@@ -267,12 +864,33 @@ describe('SecretsManagerBackend', () => {
           key: 'fakePropertyKey2',
           name: 'fakePropertyName2'
         }],
-        roleArn: 'my-role'
+        specOptions: { roleArn: 'my-role', context: {} },
+        strict: false
       })).to.equal(true)
 
       expect(kvBackend._fetchDataFromValues.calledWith({
         dataFrom: [],
-        roleArn: 'my-role'
+        specOptions: { roleArn: 'my-role', context: {} },
+        strict: false
+      })).to.equal(true)
+    })
+
+    it('makes correct calls - with context', async () => {
+      await kvBackend.getSecretManifestData({
+        secretDescriptor: {
+          dataFrom: ['fakeDataFromKey1'],
+          roleArn: 'my-role'
+        },
+        context: { namespace: 'fakeNamespace', name: 'fakeName' }
+      })
+
+      expect(kvBackend._fetchDataFromValues.calledWith({
+        dataFrom: ['fakeDataFromKey1'],
+        specOptions: {
+          roleArn: 'my-role',
+          context: { namespace: 'fakeNamespace', name: 'fakeName' }
+        },
+        strict: false
       })).to.equal(true)
     })
 
@@ -302,12 +920,14 @@ describe('SecretsManagerBackend', () => {
           key: 'fakePropertyKey2',
           name: 'fakePropertyName2'
         }],
-        roleArn: undefined
+        specOptions: { context: {} },
+        strict: false
       })).to.equal(true)
 
       expect(kvBackend._fetchDataFromValues.calledWith({
         dataFrom: ['fakeDataFromKey1'],
-        roleArn: undefined
+        specOptions: { context: {} },
+        strict: false
       })).to.equal(true)
     })
 
@@ -323,12 +943,14 @@ describe('SecretsManagerBackend', () => {
 
       expect(kvBackend._fetchDataValues.calledWith({
         data: [],
-        roleArn: undefined
+        specOptions: { context: {} },
+        strict: false
       })).to.equal(true)
 
       expect(kvBackend._fetchDataFromValues.calledWith({
         dataFrom: ['fakeDataFromKey1', 'fakeDataFromKey2'],
-        roleArn: undefined
+        specOptions: { context: {} },
+        strict: false
       })).to.equal(true)
     })
   })
@@ -1,45 +1,36 @@
 'use strict'
 
-const KVBackend = require('./kv-backend')
+const AwsBackend = require('./aws-backend')
 
 /** Secrets Manager backend class. */
-class SecretsManagerBackend extends KVBackend {
+class SecretsManagerBackend extends AwsBackend {
   /**
-   * Create Secrets Manager backend.
-   * @param {Object} client - Client for interacting with Secrets Manager.
-   * @param {Object} logger - Logger for logging stuff.
-   */
-  constructor ({ clientFactory, assumeRole, logger }) {
-    super({ logger })
-    this._client = clientFactory()
-    this._clientFactory = clientFactory
-    this._assumeRole = assumeRole
-  }
-
-  /**
-   * Get secret property value from Secrets Manager.
+   * Get secret property value from Secrets Manager. Binary secrets are
+   * returned as a Buffer.
    * @param {string} secretKey - Key used to store secret property value in Secrets Manager.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @param {Object} keyOptions - Options for this specific key, e.g. versionStage.
+   * @param {string} keyOptions.versionStage - Staging label of the version, e.g. AWSPREVIOUS.
+   * @param {string} keyOptions.versionId - Unique identifier of the version.
    * @returns {Promise} Promise object representing secret property value.
    */
-  async _get ({ secretKey, roleArn }) {
-    let client = this._client
-    if (roleArn) {
-      const res = await this._assumeRole({
-        RoleArn: roleArn,
-        RoleSessionName: 'k8s-external-secrets'
-      })
-      client = this._clientFactory({
-        accessKeyId: res.Credentials.AccessKeyId,
-        secretAccessKey: res.Credentials.SecretAccessKey,
-        sessionToken: res.Credentials.SessionToken
-      })
-    }
+  async _get ({ secretKey, specOptions, keyOptions: { versionStage, versionId } = {} }) {
+    const client = await this._getClient(specOptions)
+
+    const params = { SecretId: secretKey }
+    if (versionStage) params.VersionStage = versionStage
+    if (versionId) params.VersionId = versionId
 
     const data = await client
-      .getSecretValue({ SecretId: secretKey })
+      .getSecretValue(params)
       .promise()
 
-    return data.SecretString
+    if (data.SecretString !== undefined) {
+      return data.SecretString
+    }
+
+    // The SDK already decodes the base64 encoded SecretBinary into a Buffer.
+    return data.SecretBinary
   }
 }
 
@@ -44,7 +44,8 @@ describe('SecretsManagerBackend', () => {
       })
 
       const secretPropertyValue = await secretsManagerBackend._get({
-        secretKey: 'fakeSecretKey'
+        secretKey: 'fakeSecretKey',
+        specOptions: {}
       })
 
       expect(clientMock.getSecretValue.calledWith({
@@ -62,7 +63,7 @@ describe('SecretsManagerBackend', () => {
 
       const secretPropertyValue = await secretsManagerBackend._get({
         secretKey: 'fakeSecretKey',
-        roleArn: 'my-role'
+        specOptions: { roleArn: 'my-role' }
       })
 
       expect(clientFactoryMock.lastArg).deep.equals({
@@ -82,5 +83,46 @@ describe('SecretsManagerBackend', () => {
       expect(assumeRoleMock.callCount).equals(1)
       expect(secretPropertyValue).equals('fakeAssumeRoleSecretValue')
     })
+
+    it('returns a specific version of the secret', async () => {
+      getSecretValuePromise.promise.resolves({
+        SecretString: 'fakePreviousSecretValue'
+      })
+
+      const secretPropertyValue = await secretsManagerBackend._get({
+        secretKey: 'fakeSecretKey',
+        specOptions: {},
+        keyOptions: { versionStage: 'AWSPREVIOUS' }
+      })
+      await secretsManagerBackend._get({
+        secretKey: 'fakeSecretKey',
+        specOptions: {},
+        keyOptions: { versionId: 'fakeVersionId' }
+      })
+
+      expect(clientMock.getSecretValue.getCall(0).args).deep.equals([{
+        SecretId: 'fakeSecretKey',
+        VersionStage: 'AWSPREVIOUS'
+      }])
+      expect(clientMock.getSecretValue.getCall(1).args).deep.equals([{
+        SecretId: 'fakeSecretKey',
+        VersionId: 'fakeVersionId'
+      }])
+      expect(secretPropertyValue).equals('fakePreviousSecretValue')
+    })
+
+    it('returns binary secret property value', async () => {
+      const secretBinary = Buffer.from([0x30, 0x82, 0x0a, 0xff, 0x00])
+      getSecretValuePromise.promise.resolves({
+        SecretBinary: secretBinary
+      })
+
+      const secretPropertyValue = await secretsManagerBackend._get({
+        secretKey: 'fakeSecretKey',
+        specOptions: {}
+      })
+
+      expect(secretPropertyValue).equals(secretBinary)
+    })
   })
 })
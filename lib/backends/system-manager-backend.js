@@ -1,39 +1,20 @@
 'use strict'
 
-const KVBackend = require('./kv-backend')
+const AwsBackend = require('./aws-backend')
 
-/** System Manager backend class. */
-class SystemManagerBackend extends KVBackend {
-  /**
-   * Create System Manager backend.
-   * @param {Object} client - Client for interacting with System Manager.
-   * @param {Object} logger - Logger for logging stuff.
-   */
-  constructor ({ clientFactory, assumeRole, logger }) {
-    super({ logger })
-    this._client = clientFactory()
-    this._clientFactory = clientFactory
-    this._assumeRole = assumeRole
-  }
+// Maximum number of names a single GetParameters request accepts.
+const GET_PARAMETERS_BATCH_SIZE = 10
 
+/** System Manager backend class. */
+class SystemManagerBackend extends AwsBackend {
   /**
    * Get secret property value from System Manager.
    * @param {string} secretKey - Key used to store secret property value in System Manager.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
    * @returns {Promise} Promise object representing secret property value.
    */
-  async _get ({ secretKey, roleArn }) {
-    let client = this._client
-    if (roleArn) {
-      const res = await this._assumeRole({
-        RoleArn: roleArn,
-        RoleSessionName: 'k8s-external-secrets'
-      })
-      client = this._clientFactory({
-        accessKeyId: res.Credentials.AccessKeyId,
-        secretAccessKey: res.Credentials.SecretAccessKey,
-        sessionToken: res.Credentials.SessionToken
-      })
-    }
+  async _get ({ secretKey, specOptions }) {
+    const client = await this._getClient(specOptions)
     const data = await client
       .getParameter({
         Name: secretKey,
@@ -42,6 +23,85 @@ class SystemManagerBackend extends KVBackend {
       .promise()
     return data.Parameter.Value
   }
+
+  /**
+   * Get several parameter values from System Manager, batching them into
+   * GetParameters requests.
+   * @param {Object[]} keys - Parameters to fetch.
+   * @param {string} keys[].secretKey - Name of the parameter, with an
+   *   optional version or label selector, e.g. /db/password:3.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @returns {Promise} Promise object representing parameter values, in the order of keys.
+   */
+  async _getMany ({ keys, specOptions }) {
+    if (keys.length === 0) {
+      return []
+    }
+
+    const client = await this._getClient(specOptions)
+    const names = [...new Set(keys.map(({ secretKey }) => secretKey))]
+    const batches = []
+    for (let i = 0; i < names.length; i += GET_PARAMETERS_BATCH_SIZE) {
+      batches.push(names.slice(i, i + GET_PARAMETERS_BATCH_SIZE))
+    }
+
+    const responses = await Promise.all(batches.map(batch => client
+      .getParameters({
+        Names: batch,
+        WithDecryption: true
+      })
+      .promise()))
+
+    // Parameters are returned without the selector they were requested with.
+    const values = new Map()
+    const invalidParameters = []
+    responses.forEach(({ Parameters, InvalidParameters }) => {
+      Parameters.forEach(parameter => values.set(`${parameter.Name}${parameter.Selector || ''}`, parameter.Value))
+      invalidParameters.push(...InvalidParameters)
+    })
+
+    if (invalidParameters.length > 0) {
+      invalidParameters.forEach(name => this._logger.warn(`invalid parameter ${name}`))
+      const error = new Error(`Invalid parameters: ${invalidParameters.join(', ')}`)
+      error.reason = AwsBackend.INVALID_SECRET_DATA_REASON
+      throw error
+    }
+
+    return keys.map(({ secretKey }) => {
+      if (!values.has(secretKey)) {
+        throw new Error(`Parameter ${secretKey} is missing in the response of System Manager`)
+      }
+      return values.get(secretKey)
+    })
+  }
+
+  /**
+   * Get all parameter values below a path from System Manager.
+   * @param {string} path - Path prefix of the parameters, e.g. /hello-service/.
+   * @param {boolean} recursive - Also get parameters nested deeper below the path.
+   * @param {Object} specOptions - Options for this external secret, e.g. roleArn.
+   * @returns {Promise} Promise object representing parameter values keyed by their names.
+   */
+  async _getByPath ({ path, recursive, specOptions }) {
+    const client = await this._getClient(specOptions)
+    const parameters = []
+    let nextToken
+
+    do {
+      const data = await client
+        .getParametersByPath({
+          Path: path,
+          Recursive: recursive,
+          WithDecryption: true,
+          NextToken: nextToken
+        })
+        .promise()
+      parameters.push(...data.Parameters)
+      nextToken = data.NextToken
+    } while (nextToken)
+
+    return Object.fromEntries(parameters.map(parameter => [parameter.Name, parameter.Value]))
+  }
 }
 
 module.exports = SystemManagerBackend
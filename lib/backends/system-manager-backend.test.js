@@ -10,6 +10,7 @@ describe('SystemManagerBackend', () => {
   let clientMock
   let clientFactoryMock
   let assumeRoleMock
+  let loggerMock
   let systemManagerBackend
   const assumeRoleCredentials = {
     Credentials: {
@@ -23,11 +24,14 @@ describe('SystemManagerBackend', () => {
     clientMock = sinon.mock()
     clientFactoryMock = sinon.fake.returns(clientMock)
     assumeRoleMock = sinon.fake.returns(Promise.resolve(assumeRoleCredentials))
+    loggerMock = sinon.mock()
+    loggerMock.warn = sinon.stub()
 
     systemManagerBackend = new SystemManagerBackend({
       client: clientMock,
       clientFactory: clientFactoryMock,
-      assumeRole: assumeRoleMock
+      assumeRole: assumeRoleMock,
+      logger: loggerMock
     })
   })
 
@@ -48,7 +52,8 @@ describe('SystemManagerBackend', () => {
       })
 
       const secretPropertyValue = await systemManagerBackend._get({
-        secretKey: 'fakeSecretKey'
+        secretKey: 'fakeSecretKey',
+        specOptions: {}
       })
 
       expect(clientMock.getParameter.calledWith({
@@ -69,7 +74,7 @@ describe('SystemManagerBackend', () => {
 
       const secretPropertyValue = await systemManagerBackend._get({
         secretKey: 'fakeSecretKey',
-        roleArn: 'my-role'
+        specOptions: { roleArn: 'my-role' }
       })
       expect(clientFactoryMock.lastArg).deep.equals({
         accessKeyId: assumeRoleCredentials.Credentials.AccessKeyId,
@@ -89,4 +94,169 @@ describe('SystemManagerBackend', () => {
       expect(secretPropertyValue).equals('fakeAssumeRoleSecretValue')
     })
   })
+
+  describe('_getMany', () => {
+    const names = [...Array(12).keys()].map(i => `/fake/name${i}`)
+
+    beforeEach(() => {
+      clientMock.getParameters = sinon.stub().callsFake(({ Names }) => ({
+        promise: sinon.stub().resolves({
+          Parameters: Names.map(Name => ({ Name, Value: `${Name}-value` })),
+          InvalidParameters: []
+        })
+      }))
+    })
+
+    it('fetches parameters in batches of 10', async () => {
+      const values = await systemManagerBackend._getMany({
+        keys: names.concat(names[0]).map(secretKey => ({ secretKey, keyOptions: {} })),
+        specOptions: {}
+      })
+
+      expect(clientMock.getParameters.callCount).equals(2)
+      expect(clientMock.getParameters.getCall(0).args).deep.equals([{
+        Names: names.slice(0, 10),
+        WithDecryption: true
+      }])
+      expect(clientMock.getParameters.getCall(1).args).deep.equals([{
+        Names: names.slice(10),
+        WithDecryption: true
+      }])
+      expect(assumeRoleMock.callCount).equals(0)
+      expect(values).deep.equals(names.concat(names[0]).map(name => `${name}-value`))
+    })
+
+    it('assumes the role once for all batches', async () => {
+      await systemManagerBackend._getMany({
+        keys: names.map(secretKey => ({ secretKey, keyOptions: {} })),
+        specOptions: { roleArn: 'my-role' }
+      })
+
+      expect(assumeRoleMock.callCount).equals(1)
+      expect(clientMock.getParameters.callCount).equals(2)
+    })
+
+    it('reports invalid parameters', async () => {
+      clientMock.getParameters = sinon.stub().returns({
+        promise: sinon.stub().resolves({
+          Parameters: [{ Name: '/fake/name0', Value: 'fakeValue' }],
+          InvalidParameters: ['/fake/missing1', '/fake/missing2']
+        })
+      })
+
+      try {
+        await systemManagerBackend._getMany({
+          keys: ['/fake/name0', '/fake/missing1', '/fake/missing2'].map(secretKey => ({ secretKey, keyOptions: {} })),
+          specOptions: {}
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Invalid parameters: /fake/missing1, /fake/missing2')
+        expect(err.reason).equals('InvalidSecretData')
+      }
+      expect(loggerMock.warn.calledWith('invalid parameter /fake/missing1')).to.equal(true)
+      expect(loggerMock.warn.calledWith('invalid parameter /fake/missing2')).to.equal(true)
+    })
+
+    it('fetches versioned and labelled parameters', async () => {
+      clientMock.getParameters = sinon.stub().returns({
+        promise: sinon.stub().resolves({
+          Parameters: [
+            { Name: '/db/password', Selector: ':3', Value: 'fakeVersion3' },
+            { Name: '/db/password', Selector: ':prod', Value: 'fakeProd' },
+            { Name: '/db/password', Value: 'fakeLatest' }
+          ],
+          InvalidParameters: []
+        })
+      })
+
+      const values = await systemManagerBackend._getMany({
+        keys: ['/db/password:3', '/db/password:prod', '/db/password'].map(secretKey => ({ secretKey, keyOptions: {} })),
+        specOptions: {}
+      })
+
+      expect(values).deep.equals(['fakeVersion3', 'fakeProd', 'fakeLatest'])
+    })
+
+    it('fails on parameters missing in the response', async () => {
+      clientMock.getParameters = sinon.stub().returns({
+        promise: sinon.stub().resolves({ Parameters: [], InvalidParameters: [] })
+      })
+
+      try {
+        await systemManagerBackend._getMany({
+          keys: [{ secretKey: '/db/password:3', keyOptions: {} }],
+          specOptions: {}
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Parameter /db/password:3 is missing in the response of System Manager')
+      }
+    })
+
+    it('does not call System Manager without keys', async () => {
+      const values = await systemManagerBackend._getMany({ keys: [], specOptions: {} })
+
+      expect(clientMock.getParameters.callCount).equals(0)
+      expect(values).deep.equals([])
+    })
+  })
+
+  describe('_getByPath', () => {
+    beforeEach(() => {
+      clientMock.getParametersByPath = sinon.stub()
+      clientMock.getParametersByPath.onFirstCall().returns({
+        promise: sinon.stub().resolves({
+          Parameters: [{ Name: '/fake/path/name1', Value: 'fakeValue1' }],
+          NextToken: 'fakeNextToken'
+        })
+      })
+      clientMock.getParametersByPath.onSecondCall().returns({
+        promise: sinon.stub().resolves({
+          Parameters: [{ Name: '/fake/path/nested/name2', Value: 'fakeValue2' }]
+        })
+      })
+    })
+
+    it('returns all parameter values below the path', async () => {
+      const values = await systemManagerBackend._getByPath({
+        path: '/fake/path/',
+        recursive: true,
+        specOptions: {}
+      })
+
+      expect(clientMock.getParametersByPath.getCall(0).args).deep.equals([{
+        Path: '/fake/path/',
+        Recursive: true,
+        WithDecryption: true,
+        NextToken: undefined
+      }])
+      expect(clientMock.getParametersByPath.getCall(1).args).deep.equals([{
+        Path: '/fake/path/',
+        Recursive: true,
+        WithDecryption: true,
+        NextToken: 'fakeNextToken'
+      }])
+      expect(assumeRoleMock.callCount).equals(0)
+      expect(values).deep.equals({
+        '/fake/path/name1': 'fakeValue1',
+        '/fake/path/nested/name2': 'fakeValue2'
+      })
+    })
+
+    it('returns all parameter values below the path assuming a role', async () => {
+      await systemManagerBackend._getByPath({
+        path: '/fake/path/',
+        recursive: true,
+        specOptions: { roleArn: 'my-role' }
+      })
+
+      expect(assumeRoleMock.callCount).equals(1)
+      expect(clientFactoryMock.lastArg).deep.equals({
+        accessKeyId: assumeRoleCredentials.Credentials.AccessKeyId,
+        secretAccessKey: assumeRoleCredentials.Credentials.SecretAccessKey,
+        sessionToken: assumeRoleCredentials.Credentials.SessionToken
+      })
+    })
+  })
 })
@@ -0,0 +1,143 @@
+'use strict'
+
+const fs = require('fs')
+
+const KVBackend = require('./kv-backend')
+
+const SERVICE_ACCOUNT_TOKEN_PATH = '/var/run/secrets/kubernetes.io/serviceaccount/token'
+
+// Log in again this long before the Vault token lease runs out.
+const TOKEN_RENEWAL_MARGIN_MILLISECONDS = 60 * 1000
+
+/** Vault backend class. */
+class VaultBackend extends KVBackend {
+  /**
+   * Create Vault backend.
+   * @param {Function} clientFactory - Factory for clients interacting with Vault.
+   * @param {Object} logger - Logger for logging stuff.
+   */
+  constructor ({ clientFactory, logger }) {
+    super({ logger })
+    this._client = clientFactory()
+    this._clientFactory = clientFactory
+    this._tokenClients = new Map()
+  }
+
+  /**
+   * Read the token of the service account this pod runs as.
+   * @returns {Promise} Promise object representing the service account token.
+   */
+  _readServiceAccountToken () {
+    return fs.promises.readFile(SERVICE_ACCOUNT_TOKEN_PATH, 'utf8')
+  }
+
+  /**
+   * Get a Vault client logged in with the given Kubernetes auth role.
+   * Tokens are reused until shortly before their lease expires. Concurrent
+   * calls with the same role share one login.
+   * @param {string} vaultMountPoint - Mount point of the Kubernetes auth method.
+   * @param {string} vaultRole - Vault role to log in as.
+   * @returns {Promise} Promise object representing a logged in Vault client.
+   */
+  async _getTokenClient ({ vaultMountPoint = 'kubernetes', vaultRole }) {
+    const cacheKey = `${vaultMountPoint}/${vaultRole}`
+    const cached = this._tokenClients.get(cacheKey)
+    if (cached && Date.now() < cached.expiresAt - TOKEN_RENEWAL_MARGIN_MILLISECONDS) {
+      return cached.client
+    }
+
+    // The lease is unknown until Vault answers, keep the pending login in
+    // the cache meanwhile.
+    const entry = { expiresAt: Infinity }
+    entry.client = this._login({ vaultMountPoint, vaultRole }).then(({ client, leaseDuration }) => {
+      // A lease duration of 0 means the token never expires.
+      entry.expiresAt = leaseDuration ? Date.now() + leaseDuration * 1000 : Infinity
+      return client
+    })
+    this._tokenClients.set(cacheKey, entry)
+
+    try {
+      return await entry.client
+    } catch (err) {
+      if (this._tokenClients.get(cacheKey) === entry) {
+        this._tokenClients.delete(cacheKey)
+      }
+      throw err
+    }
+  }
+
+  /**
+   * Log into Vault with the Kubernetes auth method.
+   * @param {string} vaultMountPoint - Mount point of the Kubernetes auth method.
+   * @param {string} vaultRole - Vault role to log in as.
+   * @returns {Promise} Promise object representing the logged in client and its lease duration in seconds.
+   */
+  async _login ({ vaultMountPoint, vaultRole }) {
+    this._logger.debug(`logging into vault with role ${vaultRole} at auth/${vaultMountPoint}`)
+    const jwt = await this._readServiceAccountToken()
+    const { auth } = await this._client.kubernetesLogin({
+      mount_point: vaultMountPoint,
+      role: vaultRole,
+      jwt
+    })
+
+    return {
+      client: this._clientFactory({ token: auth.client_token }),
+      leaseDuration: auth.lease_duration
+    }
+  }
+
+  /**
+   * Require the Vault role to log in as.
+   * @param {Object} specOptions - Options for this external secret.
+   * @param {string} specOptions.vaultRole - Vault role to log in as.
+   */
+  _validateSpecOptions ({ vaultRole }) {
+    if (!vaultRole) {
+      throw new Error('vaultRole is required for the vault backend')
+    }
+  }
+
+  /**
+   * Get secret property value from Vault.
+   * @param {string} secretKey - Path of the secret in Vault, e.g. secret/data/hello-service.
+   * @param {Object} specOptions - Options for this external secret, e.g. vaultRole.
+   * @param {string} specOptions.vaultRole - Vault role to log in as.
+   * @param {string} specOptions.vaultMountPoint - Mount point of the Kubernetes auth method.
+   * @param {number} specOptions.kvVersion - Version of the KV secrets engine, 1 or 2.
+   * @param {Object} keyOptions - Options for this specific key, e.g. version.
+   * @param {number} keyOptions.version - Version of the secret to read, KV v2 only.
+   * @returns {Promise} Promise object representing secret property value.
+   */
+  async _get ({ secretKey, specOptions: { vaultRole, vaultMountPoint, kvVersion = 2 }, keyOptions: { version } = {} }) {
+    if (version !== undefined && Number(kvVersion) !== 2) {
+      const error = new Error(`Cannot read version ${version} of ${secretKey}: versions are only supported by KV version 2`)
+      error.reason = KVBackend.INVALID_SECRET_DATA_REASON
+      throw error
+    }
+
+    const client = await this._getTokenClient({ vaultMountPoint, vaultRole })
+    const path = version === undefined ? secretKey : `${secretKey}?version=${version}`
+
+    this._logger.debug(`reading secret key ${secretKey} from vault`)
+    const response = await client.read(path)
+
+    if (Number(kvVersion) !== 2) {
+      return JSON.stringify(response.data)
+    }
+
+    // KV v2 nests the secret below data.data, next to data.metadata. Deleted
+    // and destroyed versions have no data.
+    const { data, metadata = {} } = response.data
+    if (data === null || data === undefined) {
+      const state = metadata.destroyed ? 'destroyed' : 'deleted'
+      const error = new Error(`Cannot read ${secretKey}: version ${metadata.version} of the secret is ${state}`)
+      error.reason = KVBackend.INVALID_SECRET_DATA_REASON
+      throw error
+    }
+
+    return JSON.stringify(data)
+  }
+}
+
+module.exports = VaultBackend
@@ -0,0 +1,220 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+const sinon = require('sinon')
+
+const VaultBackend = require('./vault-backend')
+
+describe('VaultBackend', () => {
+  let loginClientMock
+  let tokenClientMock
+  let clientFactoryMock
+  let loggerMock
+  let vaultBackend
+  const loginResponse = {
+    auth: {
+      client_token: 'fakeClientToken',
+      lease_duration: 3600
+    }
+  }
+
+  beforeEach(() => {
+    loginClientMock = sinon.mock()
+    loginClientMock.kubernetesLogin = sinon.stub().resolves(loginResponse)
+    tokenClientMock = sinon.mock()
+    tokenClientMock.read = sinon.stub()
+
+    clientFactoryMock = sinon.stub()
+    clientFactoryMock.withArgs().returns(loginClientMock)
+    clientFactoryMock.withArgs({ token: 'fakeClientToken' }).returns(tokenClientMock)
+
+    loggerMock = sinon.mock()
+    loggerMock.debug = sinon.stub()
+
+    vaultBackend = new VaultBackend({
+      clientFactory: clientFactoryMock,
+      logger: loggerMock
+    })
+    vaultBackend._readServiceAccountToken = sinon.stub().resolves('fakeServiceAccountToken')
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('_get', () => {
+    it('returns secret property value from KV v2', async () => {
+      tokenClientMock.read.resolves({
+        data: {
+          data: { password: 'fakeSecretPropertyValue' },
+          metadata: { version: 3 }
+        }
+      })
+
+      const secretPropertyValue = await vaultBackend._get({
+        secretKey: 'secret/data/fakeSecretKey',
+        specOptions: { vaultRole: 'fakeRole' }
+      })
+
+      expect(loginClientMock.kubernetesLogin.calledWith({
+        mount_point: 'kubernetes',
+        role: 'fakeRole',
+        jwt: 'fakeServiceAccountToken'
+      })).to.equal(true)
+      expect(tokenClientMock.read.calledWith('secret/data/fakeSecretKey')).to.equal(true)
+      expect(secretPropertyValue).equals('{"password":"fakeSecretPropertyValue"}')
+    })
+
+    it('returns secret property value from KV v1', async () => {
+      tokenClientMock.read.resolves({
+        data: { password: 'fakeSecretPropertyValue' }
+      })
+
+      const secretPropertyValue = await vaultBackend._get({
+        secretKey: 'kv/fakeSecretKey',
+        specOptions: { vaultRole: 'fakeRole', vaultMountPoint: 'fakeMountPoint', kvVersion: 1 }
+      })
+
+      expect(loginClientMock.kubernetesLogin.calledWith({
+        mount_point: 'fakeMountPoint',
+        role: 'fakeRole',
+        jwt: 'fakeServiceAccountToken'
+      })).to.equal(true)
+      expect(tokenClientMock.read.calledWith('kv/fakeSecretKey')).to.equal(true)
+      expect(secretPropertyValue).equals('{"password":"fakeSecretPropertyValue"}')
+    })
+
+    it('reads a pinned version', async () => {
+      tokenClientMock.read.resolves({
+        data: {
+          data: { password: 'fakeOldSecretPropertyValue' },
+          metadata: { version: 2 }
+        }
+      })
+
+      await vaultBackend._get({
+        secretKey: 'secret/data/fakeSecretKey',
+        specOptions: { vaultRole: 'fakeRole' },
+        keyOptions: { version: 2 }
+      })
+
+      expect(tokenClientMock.read.calledWith('secret/data/fakeSecretKey?version=2')).to.equal(true)
+    })
+
+    it('rejects pinned versions on KV v1', async () => {
+      try {
+        await vaultBackend._get({
+          secretKey: 'kv/fakeSecretKey',
+          specOptions: { vaultRole: 'fakeRole', kvVersion: 1 },
+          keyOptions: { version: 2 }
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Cannot read version 2 of kv/fakeSecretKey: versions are only supported by KV version 2')
+      }
+    })
+
+    it('requires a vault role', async () => {
+      try {
+        await vaultBackend.getSecretManifestData({
+          secretDescriptor: { data: [{ key: 'secret/data/fakeSecretKey', name: 'fakeName' }] }
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('vaultRole is required for the vault backend')
+        expect(err).to.not.have.property('reason')
+      }
+    })
+
+    it('fails reading a deleted version', async () => {
+      tokenClientMock.read.resolves({
+        data: {
+          data: null,
+          metadata: { version: 3, deletion_time: '2020-01-01T00:00:00.000Z', destroyed: false }
+        }
+      })
+
+      try {
+        await vaultBackend._get({
+          secretKey: 'secret/data/fakeSecretKey',
+          specOptions: { vaultRole: 'fakeRole' }
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Cannot read secret/data/fakeSecretKey: version 3 of the secret is deleted')
+        expect(err.reason).equals('InvalidSecretData')
+      }
+    })
+
+    it('fails reading a destroyed version', async () => {
+      tokenClientMock.read.resolves({
+        data: {
+          data: null,
+          metadata: { version: 2, destroyed: true }
+        }
+      })
+
+      try {
+        await vaultBackend._get({
+          secretKey: 'secret/data/fakeSecretKey',
+          specOptions: { vaultRole: 'fakeRole' },
+          keyOptions: { version: 2 }
+        })
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Cannot read secret/data/fakeSecretKey: version 2 of the secret is destroyed')
+      }
+    })
+
+    it('shares the login of concurrent calls', async () => {
+      tokenClientMock.read.resolves({ data: { data: {} } })
+      const get = () => vaultBackend._get({
+        secretKey: 'secret/data/fakeSecretKey',
+        specOptions: { vaultRole: 'fakeRole' }
+      })
+
+      await Promise.all([get(), get(), get()])
+
+      expect(loginClientMock.kubernetesLogin.callCount).equals(1)
+    })
+
+    it('logs in again after a failed login', async () => {
+      tokenClientMock.read.resolves({ data: { data: {} } })
+      loginClientMock.kubernetesLogin.onFirstCall().rejects(new Error('permission denied'))
+      const get = () => vaultBackend._get({
+        secretKey: 'secret/data/fakeSecretKey',
+        specOptions: { vaultRole: 'fakeRole' }
+      })
+
+      try {
+        await get()
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('permission denied')
+      }
+      await get()
+
+      expect(loginClientMock.kubernetesLogin.callCount).equals(2)
+    })
+
+    it('reuses the token until it is about to expire', async () => {
+      const clock = sinon.useFakeTimers({ now: Date.now() })
+      tokenClientMock.read.resolves({ data: { data: {} } })
+      const get = () => vaultBackend._get({
+        secretKey: 'secret/data/fakeSecretKey',
+        specOptions: { vaultRole: 'fakeRole' }
+      })
+
+      await get()
+      await get()
+      expect(loginClientMock.kubernetesLogin.callCount).equals(1)
+
+      clock.tick(loginResponse.auth.lease_duration * 1000)
+      await get()
+      expect(loginClientMock.kubernetesLogin.callCount).equals(2)
+
+      clock.restore()
+    })
+  })
+})
@@ -0,0 +1,77 @@
+'use strict'
+
+// Refresh credentials this long before they expire, so that no request
+// is signed with credentials about to run out.
+const REFRESH_MARGIN_MILLISECONDS = 5 * 60 * 1000
+
+/** Cache for credentials of assumed roles. */
+class CredentialsCache {
+  /**
+   * Create credentials cache.
+   * @param {Function} assumeRole - Assumes a role, resolving to an STS AssumeRole response.
+   * @param {Object} metrics - Metrics client.
+   * @param {number} refreshMarginMilliseconds - Refresh credentials this long before they expire.
+   */
+  constructor ({ assumeRole, metrics, refreshMarginMilliseconds = REFRESH_MARGIN_MILLISECONDS }) {
+    this._assumeRole = assumeRole
+    this._metrics = metrics
+    this._refreshMarginMilliseconds = refreshMarginMilliseconds
+    this._entries = new Map()
+  }
+
+  /**
+   * Check if cached credentials have to be refreshed.
+   * @param {Object} entry - Cache entry.
+   * @returns {boolean} True if the credentials expire soon.
+   */
+  _needsRefresh (entry) {
+    return Date.now() >= entry.expiresAt - this._refreshMarginMilliseconds
+  }
+
+  /**
+   * Assume a role, reusing the credentials of an earlier call with the same
+   * parameters until shortly before they expire. Concurrent calls with the
+   * same parameters share one STS request.
+   * @param {Object} assumeRoleOpts - STS AssumeRole parameters.
+   * @param {string} assumeRoleOpts.RoleArn - Role to assume.
+   * @param {string} assumeRoleOpts.RoleSessionName - Name of the role session.
+   * @param {string} assumeRoleOpts.ExternalId - External ID required by the role's trust policy.
+   * @param {number} assumeRoleOpts.DurationSeconds - Duration of the role session.
+   * @returns {Promise} Promise object representing the STS AssumeRole response.
+   */
+  async assumeRole (assumeRoleOpts) {
+    const { RoleArn, RoleSessionName, ExternalId, DurationSeconds } = assumeRoleOpts
+    // Credentials belong to one role session, so session names per
+    // ExternalSecret mean one cache entry per ExternalSecret and role.
+    const cacheKey = JSON.stringify([RoleArn, RoleSessionName, ExternalId, DurationSeconds])
+    const cached = this._entries.get(cacheKey)
+
+    if (cached && !this._needsRefresh(cached)) {
+      this._metrics.observeCredentialsCache({ result: 'hit' })
+      return cached.response
+    }
+
+    this._metrics.observeCredentialsCache({ result: 'miss' })
+
+    // Expiration is unknown until STS answers, keep the pending request
+    // in the cache meanwhile.
+    const entry = {
+      response: this._assumeRole(assumeRoleOpts),
+      expiresAt: Infinity
+    }
+    this._entries.set(cacheKey, entry)
+
+    try {
+      const res = await entry.response
+      entry.expiresAt = new Date(res.Credentials.Expiration).getTime()
+      return res
+    } catch (err) {
+      if (this._entries.get(cacheKey) === entry) {
+        this._entries.delete(cacheKey)
+      }
+      throw err
+    }
+  }
+}
+
+module.exports = CredentialsCache
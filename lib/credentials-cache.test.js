@@ -0,0 +1,99 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+const sinon = require('sinon')
+
+const CredentialsCache = require('./credentials-cache')
+
+describe('CredentialsCache', () => {
+  let assumeRoleMock
+  let metricsMock
+  let credentialsCache
+  let clock
+
+  const assumeRoleResponse = expiresIn => ({
+    Credentials: {
+      AccessKeyId: '1234',
+      SecretAccessKey: '3123123',
+      SessionToken: 'asdasdasdad',
+      Expiration: new Date(Date.now() + expiresIn)
+    }
+  })
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: Date.now() })
+    assumeRoleMock = sinon.stub().callsFake(async () => assumeRoleResponse(60 * 60 * 1000))
+    metricsMock = sinon.mock()
+    metricsMock.observeCredentialsCache = sinon.stub()
+
+    credentialsCache = new CredentialsCache({
+      assumeRole: assumeRoleMock,
+      metrics: metricsMock
+    })
+  })
+
+  afterEach(() => {
+    clock.restore()
+    sinon.restore()
+  })
+
+  it('reuses credentials per role', async () => {
+    const first = await credentialsCache.assumeRole({ RoleArn: 'my-role', RoleSessionName: 'fake-session' })
+    const second = await credentialsCache.assumeRole({ RoleArn: 'my-role', RoleSessionName: 'fake-session' })
+    await credentialsCache.assumeRole({ RoleArn: 'my-other-role', RoleSessionName: 'fake-session' })
+
+    expect(assumeRoleMock.callCount).equals(2)
+    expect(assumeRoleMock.getCall(0).args).deep.equals([{ RoleArn: 'my-role', RoleSessionName: 'fake-session' }])
+    expect(second).equals(first)
+    expect(metricsMock.observeCredentialsCache.args).deep.equals([
+      [{ result: 'miss' }],
+      [{ result: 'hit' }],
+      [{ result: 'miss' }]
+    ])
+  })
+
+  it('separates role sessions', async () => {
+    await credentialsCache.assumeRole({ RoleArn: 'my-role', RoleSessionName: 'ns.first' })
+    await credentialsCache.assumeRole({ RoleArn: 'my-role', RoleSessionName: 'ns.second' })
+    await credentialsCache.assumeRole({ RoleArn: 'my-role', RoleSessionName: 'ns.second', ExternalId: 'fake-id' })
+    await credentialsCache.assumeRole({ RoleArn: 'my-role', RoleSessionName: 'ns.second', ExternalId: 'fake-id' })
+
+    expect(assumeRoleMock.callCount).equals(3)
+  })
+
+  it('shares a pending request between concurrent calls', async () => {
+    await Promise.all([
+      credentialsCache.assumeRole({ RoleArn: 'my-role' }),
+      credentialsCache.assumeRole({ RoleArn: 'my-role' })
+    ])
+
+    expect(assumeRoleMock.callCount).equals(1)
+  })
+
+  it('refreshes credentials shortly before they expire', async () => {
+    await credentialsCache.assumeRole({ RoleArn: 'my-role' })
+
+    clock.tick(54 * 60 * 1000)
+    await credentialsCache.assumeRole({ RoleArn: 'my-role' })
+    expect(assumeRoleMock.callCount).equals(1)
+
+    clock.tick(2 * 60 * 1000)
+    await credentialsCache.assumeRole({ RoleArn: 'my-role' })
+    expect(assumeRoleMock.callCount).equals(2)
+  })
+
+  it('does not cache failures', async () => {
+    assumeRoleMock.onFirstCall().rejects(new Error('AccessDenied'))
+
+    try {
+      await credentialsCache.assumeRole({ RoleArn: 'my-role' })
+      expect.fail('Should not reach')
+    } catch (err) {
+      expect(err.message).equals('AccessDenied')
+    }
+
+    await credentialsCache.assumeRole({ RoleArn: 'my-role' })
+    expect(assumeRoleMock.callCount).equals(2)
+  })
+})
@@ -9,15 +9,18 @@ class Daemon {
    * @param {Object} externalSecretEvents - Stream of external secret events.
    * @param {Object} logger - Logger for logging stuff.
    * @param {number} pollerIntervalMilliseconds - Interval time in milliseconds for polling secret properties.
+   * @param {string} forceSyncAnnotation - externalsecret annotation that triggers a sync whenever its value changes
    */
   constructor ({
     externalSecretEvents,
     logger,
-    pollerFactory
+    pollerFactory,
+    forceSyncAnnotation
   }) {
     this._externalSecretEvents = externalSecretEvents
     this._logger = logger
     this._pollerFactory = pollerFactory
+    this._forceSyncAnnotation = forceSyncAnnotation
 
     this._pollers = {}
   }
@@ -49,12 +52,30 @@ class Daemon {
     Object.keys(this._pollers).forEach(pollerId => this._removePoller(pollerId))
   }
 
+  /**
+   * Check if the force sync annotation of an externalsecret holds a value
+   * that has not been synced yet.
+   * @param {Object} externalSecret - externalsecret manifest.
+   * @returns {boolean} True if the externalsecret should be synced right away.
+   */
+  _isForceSyncRequested (externalSecret) {
+    const { annotations = {} } = externalSecret.metadata
+    const { lastForceSync } = externalSecret.status || {}
+    const forceSync = this._forceSyncAnnotation && annotations[this._forceSyncAnnotation]
+
+    return Boolean(forceSync) && forceSync !== lastForceSync
+  }
+
   _addPoller (descriptor) {
     this._logger.debug(`spinning up poller for ${descriptor.namespace}/${descriptor.name}`)
 
     const poller = this._pollerFactory.createPoller(descriptor)
+    const forcePoll = this._isForceSyncRequested(descriptor.externalSecret)
+    if (forcePoll) {
+      this._logger.info(`forcing sync of ${descriptor.namespace}/${descriptor.name}`)
+    }
 
-    this._pollers[descriptor.id] = poller.start()
+    this._pollers[descriptor.id] = poller.start({ forcePoll })
   }
 
   /**
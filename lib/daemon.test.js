@@ -26,7 +26,8 @@ describe('Daemon', () => {
 
     daemon = new Daemon({
       logger: loggerMock,
-      pollerFactory
+      pollerFactory,
+      forceSyncAnnotation: 'kubernetes-client.io/force-sync'
     })
   })
 
@@ -106,4 +107,40 @@ describe('Daemon', () => {
     expect(daemon._addPoller.called).to.equal(true)
     expect(daemon._removePoller.calledWith('test-id')).to.equal(true)
   })
+
+  describe('_addPoller', () => {
+    const descriptor = ({ annotations, status } = {}) => ({
+      id: 'test-id',
+      name: 'foo',
+      namespace: 'foo',
+      externalSecret: {
+        metadata: { name: 'foo', namespace: 'foo', uid: 'test-id', annotations },
+        status
+      }
+    })
+
+    it('starts pollers without forcing a poll', () => {
+      daemon._addPoller(descriptor())
+
+      expect(pollerMock.start.calledWith({ forcePoll: false })).to.equal(true)
+    })
+
+    it('forces a poll when the force sync annotation changes', () => {
+      daemon._addPoller(descriptor({
+        annotations: { 'kubernetes-client.io/force-sync': '2020-01-02T00:00:00Z' },
+        status: { lastForceSync: '2020-01-01T00:00:00Z' }
+      }))
+
+      expect(pollerMock.start.calledWith({ forcePoll: true })).to.equal(true)
+    })
+
+    it('does not force a poll again for a synced force sync annotation', () => {
+      daemon._addPoller(descriptor({
+        annotations: { 'kubernetes-client.io/force-sync': '2020-01-01T00:00:00Z' },
+        status: { lastForceSync: '2020-01-01T00:00:00Z' }
+      }))
+
+      expect(pollerMock.start.calledWith({ forcePoll: false })).to.equal(true)
+    })
+  })
 })
@@ -0,0 +1,46 @@
+'use strict'
+
+const UNIT_MILLISECONDS = new Map([
+  ['ms', 1],
+  ['s', 1000],
+  ['m', 60 * 1000],
+  ['h', 60 * 60 * 1000],
+  ['d', 24 * 60 * 60 * 1000]
+])
+
+// Units are tried longest first, so that ms isn't read as m.
+const PART_PATTERN = /(\d*\.?\d+)(ms|s|m|h|d)/y
+
+/**
+ * Parse a duration like 30s, 1h or 1h30m, using the units ms, s, m, h and d.
+ * @param {string} duration - Duration, 0 doesn't need a unit.
+ * @returns {number} Duration in milliseconds.
+ * @throws {Error} If the duration is malformed.
+ */
+function parseDuration (duration) {
+  const text = `${duration}`.trim()
+  if (text.length === 0) {
+    throw new Error('Invalid duration, it is empty')
+  }
+
+  if (/^0*\.?0+$/.test(text)) {
+    return 0
+  }
+
+  let milliseconds = 0
+  PART_PATTERN.lastIndex = 0
+
+  while (PART_PATTERN.lastIndex < text.length) {
+    const match = PART_PATTERN.exec(text)
+    if (!match) {
+      throw new Error(`Invalid duration ${duration}, use a number with a unit (ms, s, m, h or d), e.g. 30s or 1h30m`)
+    }
+    milliseconds += Number(match[1]) * UNIT_MILLISECONDS.get(match[2])
+  }
+
+  return Math.round(milliseconds)
+}
+
+module.exports = {
+  parseDuration
+}
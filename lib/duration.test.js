@@ -0,0 +1,32 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+
+const { parseDuration } = require('./duration')
+
+describe('duration', () => {
+  describe('parseDuration', () => {
+    it('parses durations', () => {
+      expect(parseDuration('250ms')).equals(250)
+      expect(parseDuration('30s')).equals(30000)
+      expect(parseDuration('5m')).equals(300000)
+      expect(parseDuration('1.5h')).equals(5400000)
+      expect(parseDuration('1h30m')).equals(5400000)
+      expect(parseDuration('1d')).equals(86400000)
+    })
+
+    it('parses 0 without a unit', () => {
+      expect(parseDuration('0')).equals(0)
+      expect(parseDuration(0)).equals(0)
+      expect(parseDuration('0s')).equals(0)
+    })
+
+    it('rejects malformed durations', () => {
+      ['10', '1x', '5m10', 'h', '-1s'].forEach(duration => {
+        expect(() => parseDuration(duration)).to.throw(`Invalid duration ${duration}, use a number with a unit`)
+      })
+      expect(() => parseDuration('')).to.throw('Invalid duration, it is empty')
+    })
+  })
+})
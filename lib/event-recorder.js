@@ -0,0 +1,97 @@
+'use strict'
+
+// Identical events recorded within this window are aggregated into one
+// event, counting the repetitions.
+const AGGREGATION_WINDOW_MILLISECONDS = 10 * 60 * 1000
+
+const COMPONENT = 'kubernetes-external-secrets'
+
+/** Records Kubernetes events about objects, shared by all pollers. */
+class EventRecorder {
+  /**
+   * Create event recorder.
+   * @param {Object} kubeClient - Client for interacting with kubernetes cluster.
+   * @param {Object} logger - Logger for logging stuff.
+   * @param {string} component - Component reported as source of the events.
+   * @param {number} aggregationWindowMilliseconds - Aggregate identical events within this window.
+   */
+  constructor ({
+    kubeClient,
+    logger,
+    component = COMPONENT,
+    aggregationWindowMilliseconds = AGGREGATION_WINDOW_MILLISECONDS
+  }) {
+    this._kubeClient = kubeClient
+    this._logger = logger
+    this._component = component
+    this._aggregationWindowMilliseconds = aggregationWindowMilliseconds
+    this._events = new Map()
+  }
+
+  /**
+   * Forget events last recorded before the aggregation window.
+   * @param {number} now - Current time in milliseconds.
+   */
+  _pruneEvents (now) {
+    for (const [cacheKey, entry] of this._events) {
+      if (now - entry.recordedAt >= this._aggregationWindowMilliseconds) {
+        this._events.delete(cacheKey)
+      }
+    }
+  }
+
+  /**
+   * Record an event about an object. An event identical to one recorded
+   * within the aggregation window increases the count of that event instead
+   * of creating a new one. Failures are logged, as events are informational.
+   * @param {Object} involvedObject - Kubernetes object the event is about.
+   * @param {string} type - Normal or Warning.
+   * @param {string} reason - Short reason in UpperCamelCase, e.g. Updated.
+   * @param {string} message - Human readable description.
+   * @returns {Promise} Promise object that always resolves.
+   */
+  async record ({ involvedObject, type = 'Normal', reason, message }) {
+    const { apiVersion, kind, metadata: { name, namespace, uid } } = involvedObject
+    const events = this._kubeClient.api.v1.namespaces(namespace).events
+    const now = Date.now()
+    const timestamp = new Date(now).toISOString()
+    const cacheKey = JSON.stringify([uid, type, reason, message])
+
+    this._pruneEvents(now)
+    const cached = this._events.get(cacheKey)
+
+    try {
+      if (cached) {
+        try {
+          const res = await events(cached.event.metadata.name).put({
+            body: { ...cached.event, count: cached.event.count + 1, lastTimestamp: timestamp }
+          })
+          this._events.set(cacheKey, { event: res.body, recordedAt: now })
+          return
+        } catch (err) {
+          // Deleted meanwhile, e.g. by the event TTL of the API server.
+          if (err.statusCode !== 404) throw err
+        }
+      }
+
+      const res = await events.post({
+        body: {
+          metadata: { generateName: `${name}.`, namespace },
+          involvedObject: { apiVersion, kind, name, namespace, uid },
+          type,
+          reason,
+          message,
+          source: { component: this._component },
+          count: 1,
+          firstTimestamp: timestamp,
+          lastTimestamp: timestamp
+        }
+      })
+      this._events.set(cacheKey, { event: res.body, recordedAt: now })
+    } catch (err) {
+      this._logger.warn(err, `failed to record event ${reason} for ${kind} ${namespace}/${name}`)
+    }
+  }
+}
+
+module.exports = EventRecorder
@@ -0,0 +1,136 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+const sinon = require('sinon')
+
+const EventRecorder = require('./event-recorder')
+
+describe('EventRecorder', () => {
+  let kubeClientMock
+  let eventsMock
+  let eventMock
+  let loggerMock
+  let eventRecorder
+  let clock
+
+  const externalSecret = {
+    apiVersion: 'kubernetes-client.io/v1',
+    kind: 'ExternalSecret',
+    metadata: {
+      name: 'fakeSecretName',
+      namespace: 'fakeNamespace',
+      uid: 'fakeUid'
+    }
+  }
+
+  const record = (message = 'fake message') => eventRecorder.record({
+    involvedObject: externalSecret,
+    type: 'Warning',
+    reason: 'BackendError',
+    message
+  })
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: Date.now() })
+    eventMock = {
+      put: sinon.stub().callsFake(async ({ body }) => ({ body }))
+    }
+    eventsMock = sinon.stub().returns(eventMock)
+    eventsMock.post = sinon.stub().callsFake(async ({ body }) => ({
+      body: { ...body, metadata: { name: 'fakeSecretName.1234', namespace: 'fakeNamespace' } }
+    }))
+    kubeClientMock = {
+      api: {
+        v1: {
+          namespaces: sinon.stub().returns({ events: eventsMock })
+        }
+      }
+    }
+    loggerMock = sinon.mock()
+    loggerMock.warn = sinon.stub()
+
+    eventRecorder = new EventRecorder({
+      kubeClient: kubeClientMock,
+      logger: loggerMock
+    })
+  })
+
+  afterEach(() => {
+    clock.restore()
+  })
+
+  it('creates an event about the object', async () => {
+    await record()
+
+    expect(kubeClientMock.api.v1.namespaces.calledWith('fakeNamespace')).to.equal(true)
+    expect(eventsMock.post.firstCall.args[0].body).deep.equals({
+      metadata: { generateName: 'fakeSecretName.', namespace: 'fakeNamespace' },
+      involvedObject: {
+        apiVersion: 'kubernetes-client.io/v1',
+        kind: 'ExternalSecret',
+        name: 'fakeSecretName',
+        namespace: 'fakeNamespace',
+        uid: 'fakeUid'
+      },
+      type: 'Warning',
+      reason: 'BackendError',
+      message: 'fake message',
+      source: { component: 'kubernetes-external-secrets' },
+      count: 1,
+      firstTimestamp: new Date().toISOString(),
+      lastTimestamp: new Date().toISOString()
+    })
+  })
+
+  it('aggregates identical events', async () => {
+    await record()
+    clock.tick(1000)
+    await record()
+    await record()
+
+    expect(eventsMock.post.callCount).equals(1)
+    expect(eventsMock.calledWith('fakeSecretName.1234')).to.equal(true)
+    const { body } = eventMock.put.lastCall.args[0]
+    expect(body.count).equals(3)
+    expect(body.lastTimestamp).equals(new Date().toISOString())
+    expect(body.firstTimestamp).equals(new Date(Date.now() - 1000).toISOString())
+  })
+
+  it('creates events for different messages', async () => {
+    await record('fake message')
+    await record('other fake message')
+
+    expect(eventsMock.post.callCount).equals(2)
+    expect(eventMock.put.called).to.equal(false)
+  })
+
+  it('creates a new event after the aggregation window', async () => {
+    await record()
+    clock.tick(10 * 60 * 1000)
+    await record()
+
+    expect(eventsMock.post.callCount).equals(2)
+    expect(eventRecorder._events.size).equals(1)
+  })
+
+  it('creates a new event if the aggregated one is gone', async () => {
+    const notFoundError = new Error('Not Found')
+    notFoundError.statusCode = 404
+    eventMock.put.rejects(notFoundError)
+
+    await record()
+    await record()
+
+    expect(eventsMock.post.callCount).equals(2)
+  })
+
+  it('logs failures to record events', async () => {
+    const error = new Error('Forbidden')
+    eventsMock.post.rejects(error)
+
+    await record()
+
+    expect(loggerMock.warn.calledWith(error, 'failed to record event BackendError for ExternalSecret fakeNamespace/fakeSecretName')).to.equal(true)
+  })
+})
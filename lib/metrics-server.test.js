@@ -40,7 +40,8 @@ describe('MetricsServer', () => {
       name: 'foo',
       namespace: 'example',
       backend: 'foo',
-      status: 'success'
+      status: 'success',
+      operation: 'created'
     })
 
     metrics.observeSync({
@@ -55,7 +56,7 @@ describe('MetricsServer', () => {
       .expect('Content-Type', Prometheus.register.contentType)
       .expect(200)
 
-    expect(res.text).to.have.string('sync_calls{name="foo",namespace="example",backend="foo",status="success"} 1')
-    expect(res.text).to.have.string('sync_calls{name="bar",namespace="example",backend="foo",status="failed"} 1')
+    expect(res.text).to.have.string('sync_calls{name="foo",namespace="example",backend="foo",status="success",operation="created"} 1')
+    expect(res.text).to.have.string('sync_calls{name="bar",namespace="example",backend="foo",status="failed",operation="none"} 1')
   })
 })
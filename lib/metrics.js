@@ -12,7 +12,13 @@ class Metrics {
     this._syncCalls = new Prometheus.Counter({
       name: 'sync_calls',
       help: 'number of sync operations',
-      labelNames: ['name', 'namespace', 'backend', 'status'],
+      labelNames: ['name', 'namespace', 'backend', 'status', 'operation'],
+      registers: [registry]
+    })
+    this._credentialsCacheCalls = new Prometheus.Counter({
+      name: 'credentials_cache_calls',
+      help: 'number of lookups in the assumed role credentials cache',
+      labelNames: ['result'],
       registers: [registry]
     })
   }
@@ -23,13 +29,25 @@ class Metrics {
    * @param {String} namespace - the namespace of the externalSecret
    * @param {String} backend - the backend used to fetch the externalSecret
    * @param {String} status - the result of the sync process: error|success
+   * @param {String} operation - what happened to the secret: created|updated|unchanged|skipped|none
    */
-  observeSync ({ name, namespace, backend, status }) {
+  observeSync ({ name, namespace, backend, status, operation = 'none' }) {
     this._syncCalls.inc({
       name,
       namespace,
       backend,
-      status
+      status,
+      operation
+    })
+  }
+
+  /**
+   * Observe a lookup in the assumed role credentials cache
+   * @param {String} result - the result of the lookup: hit|miss
+   */
+  observeCredentialsCache ({ result }) {
+    this._credentialsCacheCalls.inc({
+      result
     })
   }
 }
@@ -25,8 +25,17 @@ describe('Metrics', () => {
       name: 'foo',
       namespace: 'example',
       backend: 'foo',
-      status: 'success'
+      status: 'success',
+      operation: 'unchanged'
     })
-    expect(registry.metrics()).to.have.string('sync_calls{name="foo",namespace="example",backend="foo",status="success"} 1')
+    expect(registry.metrics()).to.have.string('sync_calls{name="foo",namespace="example",backend="foo",status="success",operation="unchanged"} 1')
+  })
+
+  it('should store credentials cache metrics', async () => {
+    metrics.observeCredentialsCache({ result: 'hit' })
+    metrics.observeCredentialsCache({ result: 'hit' })
+    metrics.observeCredentialsCache({ result: 'miss' })
+    expect(registry.metrics()).to.have.string('credentials_cache_calls{result="hit"} 2')
+    expect(registry.metrics()).to.have.string('credentials_cache_calls{result="miss"} 1')
   })
 })
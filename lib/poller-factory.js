@@ -8,27 +8,48 @@ class PollerFactory {
    * @param {Object} backends - Backends for fetching secret properties.
    * @param {Object} kubeClient - Client for interacting with kubernetes cluster.
    * @param {Object} metrics - Metrics client
+   * @param {Object} eventRecorder - Records Kubernetes events, shared by all pollers.
    * @param {Object} customResourceManifest - CRD manifest
    * @param {Object} logger - Logger for logging stuff.
    * @param {number} pollerIntervalMilliseconds - Interval time in milliseconds for polling secret properties.
+   * @param {number} pollerMaxBackoffMilliseconds - Upper bound for the delay between polls after failures.
+   * @param {number} pollerJitterFactor - Random delay of polls, as a share of the interval.
+   * @param {number} pollerMinIntervalMilliseconds - Lower bound for the refreshInterval of external secrets.
+   * @param {number} pollerMaxIntervalMilliseconds - Upper bound for the refreshInterval of external secrets.
    * @param {String} rolePermittedAnnotation - namespace annotation that defines which roles can be assumed within this namespace
+   * @param {boolean} strictMode - Fail syncs on malformed or missing values by default.
+   * @param {string} forceSyncAnnotation - externalsecret annotation that triggers a sync whenever its value changes
    */
   constructor ({
     backends,
     kubeClient,
     metrics,
+    eventRecorder,
     pollerIntervalMilliseconds,
+    pollerMaxBackoffMilliseconds,
+    pollerJitterFactor,
+    pollerMinIntervalMilliseconds,
+    pollerMaxIntervalMilliseconds,
     rolePermittedAnnotation,
+    forceSyncAnnotation,
+    strictMode = false,
     customResourceManifest,
     logger
   }) {
     this._logger = logger
     this._metrics = metrics
+    this._eventRecorder = eventRecorder
     this._backends = backends
     this._kubeClient = kubeClient
     this._pollerIntervalMilliseconds = pollerIntervalMilliseconds
+    this._pollerMaxBackoffMilliseconds = pollerMaxBackoffMilliseconds
+    this._pollerJitterFactor = pollerJitterFactor
+    this._pollerMinIntervalMilliseconds = pollerMinIntervalMilliseconds
+    this._pollerMaxIntervalMilliseconds = pollerMaxIntervalMilliseconds
     this._customResourceManifest = customResourceManifest
     this._rolePermittedAnnotation = rolePermittedAnnotation
+    this._strictMode = strictMode
+    this._forceSyncAnnotation = forceSyncAnnotation
   }
 
   /**
@@ -39,11 +60,18 @@ class PollerFactory {
     const poller = new Poller({
       backends: this._backends,
       intervalMilliseconds: this._pollerIntervalMilliseconds,
+      maxBackoffMilliseconds: this._pollerMaxBackoffMilliseconds,
+      jitterFactor: this._pollerJitterFactor,
+      minIntervalMilliseconds: this._pollerMinIntervalMilliseconds,
+      maxIntervalMilliseconds: this._pollerMaxIntervalMilliseconds,
       kubeClient: this._kubeClient,
       logger: this._logger,
       metrics: this._metrics,
+      eventRecorder: this._eventRecorder,
       customResourceManifest: this._customResourceManifest,
       rolePermittedAnnotation: this._rolePermittedAnnotation,
+      strictMode: this._strictMode,
+      forceSyncAnnotation: this._forceSyncAnnotation,
       externalSecret
     })
 
@@ -1,8 +1,69 @@
 'use strict'
 
+const crypto = require('crypto')
+
 const clonedeep = require('lodash.clonedeep')
 const merge = require('lodash.merge')
 
+const { DEFAULT_CONFLICT_POLICY } = require('./backends/kv-backend')
+const { parseDuration } = require('./duration')
+const { renderTemplate } = require('./template')
+
+// Upper bound for the delay between polls after consecutive failures.
+const MAX_BACKOFF_MILLISECONDS = 10 * 60 * 1000
+
+// Longest delay setTimeout supports, longer ones fire right away.
+const MAX_TIMEOUT_MILLISECONDS = 2 ** 31 - 1
+
+// Hash of the secret manifest last written, used to skip writing it again unchanged.
+const CONTENT_HASH_ANNOTATION = 'kubernetes-client.io/content-hash'
+
+// What happens to keys of the secret that are missing from the backend data.
+const ON_MISSING_POLICIES = ['retain', 'delete', 'fail']
+const DEFAULT_ON_MISSING_POLICY = 'delete'
+
+// How the secret is written: Owner makes the external secret its owner, so
+// that the secret is deleted with it, Orphan leaves the secret behind, Merge
+// merges keys into an existing secret and None doesn't write it at all.
+const CREATION_POLICIES = ['Owner', 'Orphan', 'Merge', 'None']
+const DEFAULT_CREATION_POLICY = 'Owner'
+
+// Engines for the expressions in template.data and template.stringData.
+// Without an engine the template is merged as it is.
+const TEMPLATE_ENGINES = ['go']
+
+/**
+ * Set the reason of an error, reported in the status conditions, unless
+ * it is set already.
+ * @param {Error} err - Error to set the reason of.
+ * @param {string} reason - Reason, e.g. NotPermitted.
+ * @returns {Error} The error.
+ */
+function withReason (err, reason) {
+  if (!err.reason) err.reason = reason
+  return err
+}
+
+/**
+ * Serialize a value as JSON with sorted object keys, so that equal
+ * values always serialize the same.
+ * @param {*} value - Value to serialize.
+ * @returns {string} JSON text.
+ */
+function stableStringify (value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`
+  }
+
+  return JSON.stringify(value)
+}
+
 /**
  * Kubernetes secret descriptor.
  * @typedef {Object} SecretDescriptor
@@ -28,6 +89,16 @@ class Poller {
    * @param {Object} externalSecret - ExternalSecret manifest.
    * @param {string} rolePermittedAnnotation - namespace annotation that defines which roles can be assumed within this namespace
    * @param {Object} metrics - Metrics client.
+   * @param {Object} eventRecorder - Records Kubernetes events about the external secret.
+   * @param {boolean} strictMode - Fail syncs on malformed or missing values,
+   *   unless set by secretDescriptor.strict.
+   * @param {number} maxBackoffMilliseconds - Upper bound for the delay between
+   *   polls, which doubles with each consecutive failure.
+   * @param {number} jitterFactor - Polls are delayed by a random share of the
+   *   interval up to this factor, e.g. 0.1, so that pollers don't poll in lockstep.
+   * @param {number} minIntervalMilliseconds - Lower bound for secretDescriptor.refreshInterval.
+   * @param {number} maxIntervalMilliseconds - Upper bound for secretDescriptor.refreshInterval.
+   * @param {string} forceSyncAnnotation - externalsecret annotation that triggers a sync whenever its value changes
    */
   constructor ({
     backends,
@@ -35,23 +106,81 @@ class Poller {
     kubeClient,
     logger,
     metrics,
+    eventRecorder,
     customResourceManifest,
     rolePermittedAnnotation,
+    strictMode = false,
+    maxBackoffMilliseconds = MAX_BACKOFF_MILLISECONDS,
+    jitterFactor = 0,
+    minIntervalMilliseconds = 0,
+    maxIntervalMilliseconds = Infinity,
+    forceSyncAnnotation,
     externalSecret
   }) {
     this._backends = backends
-    this._intervalMilliseconds = intervalMilliseconds
     this._kubeClient = kubeClient
     this._logger = logger
     this._timeoutId = null
     this._metrics = metrics
+    this._eventRecorder = eventRecorder
     this._rolePermittedAnnotation = rolePermittedAnnotation
     this._customResourceManifest = customResourceManifest
+    this._strictMode = strictMode
+    this._maxBackoffMilliseconds = maxBackoffMilliseconds
+    this._jitterFactor = jitterFactor
 
     this._externalSecret = externalSecret
     this._secretDescriptor = externalSecret.secretDescriptor
+    this._intervalMilliseconds = intervalMilliseconds
+    this._syncOnce = false
+    this._refreshIntervalError = null
+
+    const { refreshInterval } = this._secretDescriptor
+    if (refreshInterval !== undefined) {
+      try {
+        const refreshIntervalMilliseconds = parseDuration(refreshInterval)
+        if (refreshIntervalMilliseconds === 0) {
+          // Failed syncs are still retried, with the default interval.
+          this._syncOnce = true
+        } else {
+          this._intervalMilliseconds = Math.min(
+            Math.max(refreshIntervalMilliseconds, minIntervalMilliseconds),
+            maxIntervalMilliseconds)
+        }
+      } catch (err) {
+        this._refreshIntervalError = withReason(new Error(`Invalid refreshInterval, ${err.message}`), 'InvalidRefreshInterval')
+      }
+    }
+
+    this._onMissing = this._secretDescriptor.onMissing || DEFAULT_ON_MISSING_POLICY
+    this._onMissingError = null
+    if (!ON_MISSING_POLICIES.includes(this._onMissing)) {
+      this._onMissingError = withReason(new Error(`Unknown onMissing ${this._onMissing}, use one of ${ON_MISSING_POLICIES.join(', ')}`), 'InvalidOnMissing')
+    }
+
+    this._creationPolicy = this._secretDescriptor.creationPolicy || DEFAULT_CREATION_POLICY
+    this._creationPolicyError = null
+    if (!CREATION_POLICIES.includes(this._creationPolicy)) {
+      this._creationPolicyError = withReason(new Error(`Unknown creationPolicy ${this._creationPolicy}, use one of ${CREATION_POLICIES.join(', ')}`), 'InvalidCreationPolicy')
+    }
+
+    // Compared with the hash in the status, to tell whether the keys imported
+    // by the last sync are still asked for, see _applyOnMissing.
+    this._dataFromHash = crypto.createHash('sha256')
+      .update(stableStringify(this._secretDescriptor.dataFrom || []))
+      .digest('hex')
+
+    // Results of the Permitted and BackendReachable checks of the current
+    // poll. Syncs stop at the first error, so checks after it stay Unknown.
+    this._checks = { permitted: 'Unknown', backendReachable: 'Unknown' }
+
+    // Pollers are recreated whenever the status changes, so failures are counted in the status.
+    this._failures = (externalSecret.status && externalSecret.status.failures) || 0
 
-    const { name, uid, namespace } = externalSecret.metadata
+    const { name, uid, namespace, annotations = {} } = externalSecret.metadata
+
+    // Recorded in the status once synced, so that the sync is only forced once.
+    this._forceSync = forceSyncAnnotation ? annotations[forceSyncAnnotation] : undefined
 
     this._ownerReference = {
       apiVersion: externalSecret.apiVersion,
@@ -77,92 +206,403 @@ class Poller {
     const secretDescriptor = this._secretDescriptor
     const template = secretDescriptor.template
     const data = await this._backends[secretDescriptor.backendType]
-      .getSecretManifestData({ secretDescriptor })
+      .getSecretManifestData({
+        secretDescriptor,
+        context: { namespace: this._namespace, name: this._name },
+        strict: this._strictMode
+      })
     let secretManifest = {
       apiVersion: 'v1',
       kind: 'Secret',
       metadata: {
         name: this._name,
-        ownerReferences: [
-          this._ownerReference
-        ]
+        ...(this._creationPolicy === 'Owner' ? { ownerReferences: [this._ownerReference] } : {})
       },
       type: secretDescriptor.type || 'Opaque',
       data
     }
 
     if (template) {
-      secretManifest = merge(clonedeep(template), secretManifest)
+      const { engine, ...secretTemplate } = template
+      if (engine !== undefined && !TEMPLATE_ENGINES.includes(engine)) {
+        throw new Error(`Unknown template engine ${engine}, use one of ${TEMPLATE_ENGINES.join(', ')}`)
+      }
+
+      secretManifest = merge(engine ? this._renderTemplate({ template: secretTemplate, data }) : clonedeep(secretTemplate), secretManifest)
     }
 
     return secretManifest
   }
 
+  /**
+   * Render the template expressions in template.data and template.stringData,
+   * which can reference the fetched values, e.g. {{ .password }}. Values are
+   * passed as Buffers, so that binary values stay intact.
+   * @param {Object} template - Template of the Kubernetes secret manifest.
+   * @param {Object} data - Fetched secret manifest data, base64 encoded.
+   * @returns {Object} Template with rendered data and stringData.
+   */
+  _renderTemplate ({ template, data }) {
+    const renderedTemplate = clonedeep(template)
+    const values = Object.fromEntries(Object.entries(data)
+      .map(([name, value]) => [name, Buffer.from(value, 'base64')]))
+
+    const render = (field, texts) => Object.fromEntries(Object.entries(texts).map(([name, text]) => {
+      try {
+        return [name, renderTemplate(`${text}`, values)]
+      } catch (err) {
+        throw new Error(`Could not render template.${field}.${name}, ${err.message}`)
+      }
+    }))
+
+    if (template.data) renderedTemplate.data = render('data', template.data)
+    if (template.stringData) renderedTemplate.stringData = render('stringData', template.stringData)
+
+    return renderedTemplate
+  }
+
   /**
    * Poll Kubernetes secrets.
    * @returns {Promise} Promise object that always resolves.
    */
   async _poll () {
     this._logger.info(`running poll on the secret ${this._namespace}/${this._name}`)
+    this._checks = { permitted: 'Unknown', backendReachable: 'Unknown' }
 
     try {
-      await this._upsertKubernetesSecret()
-      await this._updateStatus('SUCCESS')
+      if (this._refreshIntervalError) throw this._refreshIntervalError
+      if (this._onMissingError) throw this._onMissingError
+      if (this._creationPolicyError) throw this._creationPolicyError
+
+      const { operation, syncedKeys, retainedKeys } = await this._upsertKubernetesSecret()
+      this._failures = 0
+      await this._updateStatus('SUCCESS', { syncedKeys, retainedKeys, skipped: operation === 'skipped' })
+
+      if (operation === 'created' || operation === 'updated') {
+        const reason = operation === 'created' ? 'Created' : 'Updated'
+        await this._eventRecorder.record({
+          involvedObject: this._externalSecret,
+          reason,
+          message: `${reason} secret ${this._name} with keys ${syncedKeys.join(', ')}`
+        })
+      }
 
       this._metrics.observeSync({
         name: this._name,
         namespace: this._namespace,
         backend: this._secretDescriptor.backendType,
-        status: 'success'
+        status: 'success',
+        operation
       })
     } catch (err) {
       this._logger.error(err, `failure while polling the secret ${this._namespace}/${this._name}`)
-      await this._updateStatus(`ERROR, ${err.message}`)
+      this._failures += 1
+      await this._updateStatus(`ERROR, ${err.message}`, { error: err })
+      await this._eventRecorder.record({
+        involvedObject: this._externalSecret,
+        type: 'Warning',
+        reason: err.reason || 'SyncFailed',
+        message: err.message
+      })
 
       this._metrics.observeSync({
         name: this._name,
         namespace: this._namespace,
         backend: this._secretDescriptor.backendType,
-        status: 'error'
+        status: 'error',
+        operation: 'none'
       })
     }
   }
 
   /**
-   * Create or update Kubernets secret in the cluster.
-   * @returns {Promise} Promise object representing operation result.
+   * Create or update Kubernets secret in the cluster. The secret is only
+   * written if its content hash differs from the one of the existing secret.
+   * Errors are marked with the reason reported in the status conditions.
+   * @returns {Promise} Promise object representing the operation, created,
+   *   updated, unchanged or skipped with creationPolicy None, and the sorted
+   *   keys of the written secret.
    */
   async _upsertKubernetesSecret () {
     const kubeNamespace = this._kubeClient.api.v1.namespaces(this._namespace)
 
     // check if namespace is allowed to fetch this secret
-    const ns = await kubeNamespace.get()
+    let ns
+    try {
+      ns = await kubeNamespace.get()
+    } catch (err) {
+      throw withReason(err, 'NamespaceUnavailable')
+    }
     const verdict = this._isPermitted(ns.body, this._secretDescriptor)
+    this._checks.permitted = verdict.allowed ? 'True' : 'False'
 
     if (!verdict.allowed) {
-      throw (new Error(`not allowed to fetch secret: ${this._namespace}/${this._name}: ${verdict.reason}`))
+      throw withReason(new Error(`not allowed to fetch secret: ${this._namespace}/${this._name}: ${verdict.reason}`), 'NotPermitted')
+    }
+
+    let secretManifest
+    try {
+      secretManifest = await this._createSecretManifest()
+      this._checks.backendReachable = 'True'
+    } catch (err) {
+      // Errors of the backend service are marked as BackendError or, if it
+      // denied access, NotPermitted already.
+      this._checks.backendReachable = err.reason === 'BackendError' ? 'False' : 'True'
+      if (err.reason === 'NotPermitted') this._checks.permitted = 'False'
+      throw withReason(err, 'InvalidSecretData')
+    }
+
+    const getSyncedKeys = () => [...new Set([
+      ...Object.keys(secretManifest.data || {}),
+      ...Object.keys(secretManifest.stringData || {})
+    ])].sort()
+
+    if (this._creationPolicy === 'None') {
+      this._logger.debug(`not writing secret ${this._namespace}/${this._name} with creationPolicy None`)
+      return { operation: 'skipped' }
     }
 
-    const secretManifest = await this._createSecretManifest()
-    this._logger.info(`upserting secret ${this._namespace}/${this._name}`)
+    let existingSecret = null
+    try {
+      existingSecret = (await kubeNamespace.secrets(this._name).get()).body
+    } catch (err) {
+      if (err.statusCode !== 404) throw withReason(err, 'SecretWriteFailed')
+    }
+
+    if (this._creationPolicy === 'Merge' && !existingSecret) {
+      throw withReason(new Error(`Secret ${this._namespace}/${this._name} to merge into does not exist`), 'SecretNotFound')
+    }
+
+    const { retainedKeys, removedKeys } = this._applyOnMissing({ secretManifest, existingSecret })
+    const syncedKeys = getSyncedKeys()
+
+    if (this._creationPolicy === 'Merge') {
+      secretManifest = this._mergeSecretManifest({ secretManifest, existingSecret, removedKeys })
+    }
 
     try {
-      return await kubeNamespace.secrets.post({ body: secretManifest })
+      const operation = await this._writeKubernetesSecret({ kubeNamespace, secretManifest, existingSecret })
+      return { operation, syncedKeys, retainedKeys }
     } catch (err) {
-      if (err.statusCode !== 409) throw err
-      return kubeNamespace.secrets(this._name).put({ body: secretManifest })
+      throw withReason(err, 'SecretWriteFailed')
     }
   }
 
-  async _updateStatus (status) {
+  /**
+   * Get the keys named by the secret descriptor in data, properties or the
+   * template, as opposed to the keys imported by dataFrom entries.
+   * @returns {Set<string>} Declared keys.
+   */
+  _getDeclaredKeys () {
+    const { properties = [], data = properties, template = {} } = this._secretDescriptor
+
+    return new Set([
+      ...data.filter(item => item !== null && typeof item === 'object').map(({ name }) => name),
+      ...Object.keys(template.data || {}),
+      ...Object.keys(template.stringData || {})
+    ])
+  }
+
+  /**
+   * Handle keys synced before that are missing from the secret manifest,
+   * e.g. because they were deleted in the backend, according to the onMissing
+   * policy of the secret descriptor: retain keeps their values, delete drops
+   * them and fail fails the sync. Only keys the secret descriptor still asks
+   * for are considered: declared keys, and keys imported by the last sync
+   * while dataFrom is unchanged. Keys whose entry was removed are dropped.
+   * @param {Object} secretManifest - Kubernetes secret manifest, retained keys are added to its data.
+   * @param {Object} existingSecret - Existing Kubernetes secret, if any.
+   * @returns {Object} Sorted keys retained from and removed from the existing secret.
+   */
+  _applyOnMissing ({ secretManifest, existingSecret }) {
+    const {
+      syncedKeys: previousSyncedKeys = [],
+      dataFromKeys = [],
+      dataFromHash
+    } = this._externalSecret.status || {}
+    const declaredKeys = this._getDeclaredKeys()
+    const importedKeys = dataFromHash === this._dataFromHash ? dataFromKeys : []
+    const keys = new Set([
+      ...Object.keys(secretManifest.data || {}),
+      ...Object.keys(secretManifest.stringData || {})
+    ])
+    const missingKeys = previousSyncedKeys
+      .filter(key => !keys.has(key) && (declaredKeys.has(key) || importedKeys.includes(key)))
+      .sort()
+
+    if (missingKeys.length > 0 && this._onMissing === 'fail') {
+      throw withReason(new Error(`Keys of secret ${this._namespace}/${this._name} missing in the backend: ${missingKeys.join(', ')}`), 'MissingKeys')
+    }
+
+    // Keys can only be retained with their values in the existing secret.
+    const retainedData = this._onMissing === 'retain'
+      ? Object.entries((existingSecret && existingSecret.data) || {}).filter(([key]) => missingKeys.includes(key))
+      : []
+    const retainedKeys = retainedData.map(([key]) => key).sort()
+
+    if (retainedKeys.length > 0) {
+      this._logger.warn(`retaining keys of secret ${this._namespace}/${this._name} missing in the backend: ${retainedKeys.join(', ')}`)
+      secretManifest.data = { ...secretManifest.data, ...Object.fromEntries(retainedData) }
+    }
+
+    return {
+      retainedKeys,
+      removedKeys: previousSyncedKeys.filter(key => !keys.has(key) && !retainedKeys.includes(key)).sort()
+    }
+  }
+
+  /**
+   * Merge a secret manifest into an existing secret, for creationPolicy
+   * Merge. Other keys, labels, annotations and owners of the existing secret
+   * are kept, the keys synced before and now removed are dropped.
+   * @param {Object} secretManifest - Kubernetes secret manifest.
+   * @param {Object} existingSecret - Existing Kubernetes secret.
+   * @param {string[]} removedKeys - Keys to drop from the existing secret.
+   * @returns {Object} Merged Kubernetes secret manifest.
+   */
+  _mergeSecretManifest ({ secretManifest, existingSecret, removedKeys }) {
+    const { labels, annotations = {}, ownerReferences } = existingSecret.metadata
+    const existingAnnotations = Object.fromEntries(Object.entries(annotations)
+      .filter(([name]) => name !== CONTENT_HASH_ANNOTATION))
+    const existingData = Object.fromEntries(Object.entries(existingSecret.data || {})
+      .filter(([key]) => !removedKeys.includes(key)))
+
+    return {
+      ...secretManifest,
+      metadata: {
+        ...secretManifest.metadata,
+        labels: { ...labels, ...secretManifest.metadata.labels },
+        annotations: { ...existingAnnotations, ...secretManifest.metadata.annotations },
+        ...(ownerReferences ? { ownerReferences } : {})
+      },
+      // The type of a secret can't be changed.
+      type: existingSecret.type,
+      data: { ...existingData, ...secretManifest.data }
+    }
+  }
+
+  /**
+   * Write Kubernetes secret unless its content hash is unchanged and no sync
+   * is forced. Missing secrets are always created.
+   * @param {Object} kubeNamespace - Client for the namespace of the secret.
+   * @param {Object} secretManifest - Kubernetes secret manifest.
+   * @param {Object} existingSecret - Existing Kubernetes secret, if any.
+   * @returns {Promise} Promise object representing the operation: created, updated or unchanged.
+   */
+  async _writeKubernetesSecret ({ kubeNamespace, secretManifest, existingSecret }) {
+    const contentHash = crypto.createHash('sha256').update(stableStringify(secretManifest)).digest('hex')
+    secretManifest.metadata.annotations = {
+      ...secretManifest.metadata.annotations,
+      [CONTENT_HASH_ANNOTATION]: contentHash
+    }
+
+    if (!existingSecret) {
+      this._logger.info(`creating secret ${this._namespace}/${this._name}`)
+      try {
+        await kubeNamespace.secrets.post({ body: secretManifest })
+        return 'created'
+      } catch (err) {
+        // Created meanwhile, e.g. by another replica.
+        if (err.statusCode !== 409) throw err
+      }
+    } else {
+      const { annotations = {} } = existingSecret.metadata
+      const { lastForceSync } = this._externalSecret.status || {}
+      const forced = this._forceSync !== undefined && this._forceSync !== lastForceSync
+      if (annotations[CONTENT_HASH_ANNOTATION] === contentHash && !forced) {
+        this._logger.debug(`secret ${this._namespace}/${this._name} is unchanged`)
+        return 'unchanged'
+      }
+    }
+
+    this._logger.info(`updating secret ${this._namespace}/${this._name}`)
+    await kubeNamespace.secrets(this._name).put({ body: secretManifest })
+    return 'updated'
+  }
+
+  /**
+   * Get the status conditions for the result of the last poll, with the
+   * checks a failed poll passed or failed before its error, see _checks. The
+   * transition time of a condition is kept while its status is unchanged.
+   * @param {Error} error - Error of the last poll, unless it succeeded.
+   * @param {boolean} skipped - Whether the last poll didn't write the secret, see creationPolicy None.
+   * @param {string} transitionTime - Time of the last poll.
+   * @returns {Object[]} Ready, Permitted and BackendReachable conditions.
+   */
+  _getConditions ({ error, skipped = false, transitionTime }) {
+    const reason = error ? error.reason || 'SyncFailed' : (skipped ? 'Skipped' : 'Synced')
+    const { permitted, backendReachable } = error ? this._checks : { permitted: 'True', backendReachable: 'True' }
+    const { conditions: previousConditions = [] } = this._externalSecret.status || {}
+
+    const condition = (type, status, passedReason) => {
+      const previous = previousConditions.find(previousCondition => previousCondition.type === type)
+      return {
+        type,
+        status,
+        reason: status === 'True' ? passedReason : reason,
+        message: status === 'True' ? '' : error.message,
+        lastTransitionTime: previous && previous.status === status ? previous.lastTransitionTime : transitionTime
+      }
+    }
+
+    return [
+      condition('Ready', error ? 'False' : 'True', reason),
+      condition('Permitted', permitted, 'Permitted'),
+      condition('BackendReachable', backendReachable, 'BackendReachable')
+    ]
+  }
+
+  /**
+   * Update the status of the external secret.
+   * @param {string} status - Result of the last poll, SUCCESS or the error.
+   * @param {Error} error - Error of the last poll, unless it succeeded.
+   * @param {string[]} syncedKeys - Keys of the secret written by the last poll.
+   * @param {string[]} retainedKeys - Keys retained by the last poll, see _applyOnMissing.
+   * @param {boolean} skipped - Whether the last poll didn't write the secret, see creationPolicy None.
+   * @returns {Promise} Promise object representing operation result.
+   */
+  async _updateStatus (status, { error, syncedKeys = [], retainedKeys = [], skipped = false } = {}) {
     this._logger.debug(`updating status for ${this._namespace}/${this._name} to: ${status}`)
+    const now = new Date().toISOString()
+    const previousStatus = this._externalSecret.status || {}
+    const declaredKeys = this._getDeclaredKeys()
+
+    // The secret keeps its content when a poll fails or doesn't write it.
+    const lastSuccess = error || skipped
+      ? {
+        lastSuccessfulSync: previousStatus.lastSuccessfulSync,
+        syncedKeys: previousStatus.syncedKeys,
+        retainedKeys: previousStatus.retainedKeys,
+        dataFromKeys: previousStatus.dataFromKeys,
+        dataFromHash: previousStatus.dataFromHash,
+        ownsSecret: previousStatus.ownsSecret
+      }
+      : {
+        lastSuccessfulSync: now,
+        syncedKeys,
+        retainedKeys,
+        // Keys imported by dataFrom entries, see _applyOnMissing.
+        dataFromKeys: syncedKeys.filter(key => !declaredKeys.has(key)),
+        dataFromHash: this._dataFromHash,
+        // Only secrets written with creationPolicy Owner are deleted with the external secret.
+        ownsSecret: this._creationPolicy === 'Owner'
+      }
+
     await this._status.put({
       body: {
         ...this._externalSecret,
         status: {
-          lastSync: `${new Date().toISOString()}`,
+          lastSync: now,
           observedGeneration: this._externalSecret.metadata.generation,
-          status
+          status,
+          failures: this._failures,
+          conditions: this._getConditions({ error, skipped, transitionTime: now }),
+          ...(lastSuccess.lastSuccessfulSync ? lastSuccess : {}),
+          // How keys defined by several data and dataFrom entries are resolved.
+          conflictPolicy: this._secretDescriptor.conflictPolicy || DEFAULT_CONFLICT_POLICY,
+          onMissing: this._onMissing,
+          creationPolicy: this._creationPolicy,
+          ...(this._forceSync ? { lastForceSync: this._forceSync } : {})
         }
       }
     })
@@ -198,10 +638,37 @@ class Poller {
     }
   }
 
+  /**
+   * Get the interval until the next poll, doubling the interval with each
+   * consecutive failure up to the maximum backoff.
+   * @param {number} failures - Number of consecutive failed polls.
+   * @returns {number} Interval in milliseconds.
+   */
+  _getPollInterval (failures) {
+    if (failures === 0) {
+      return this._intervalMilliseconds
+    }
+
+    const maxBackoffMilliseconds = Math.max(this._maxBackoffMilliseconds, this._intervalMilliseconds)
+    // Limit the exponent, larger ones exceed any sensible maximum anyway.
+    return Math.min(this._intervalMilliseconds * 2 ** Math.min(failures, 30), maxBackoffMilliseconds)
+  }
+
+  /**
+   * Get a random delay for a poll, so that pollers started together don't
+   * hit the backends and the API server at the same time.
+   * @returns {number} Delay in milliseconds.
+   */
+  _getJitter () {
+    return Math.round(Math.random() * this._jitterFactor * this._intervalMilliseconds)
+  }
+
   /**
    * Checks status of external secret and determines time to next poll
    * If current observed generation is older than ES generation it will poll right away
-   * otherwise check when it was last polled and set timeout for next poll
+   * otherwise check when it was last polled and set timeout for next poll,
+   * backing off after failures. Secrets with a refreshInterval of 0 are
+   * only polled until they synced once.
    */
   async _scheduleNextPoll () {
     try {
@@ -209,7 +676,8 @@ class Poller {
         body: {
           status: {
             lastSync = null,
-            observedGeneration = 0
+            observedGeneration = 0,
+            failures = 0
           } = {}
         } = {}
       } = await this._status.get()
@@ -223,6 +691,11 @@ class Poller {
       const now = Date.now()
       const lastPollTime = Date.parse(lastSync) || 0
 
+      if (this._syncOnce && lastPollTime && failures === 0) {
+        this._logger.debug(`${this._namespace}/${this._name} is synced once, skipping further polls`)
+        return
+      }
+
       // If time somehow ends up in the future we schedule a new poll
       // right away and hopefully get a new saner value
       if (lastPollTime > now) {
@@ -230,16 +703,17 @@ class Poller {
       }
 
       const elapsedTime = now - lastPollTime
-      const nextPollIn = Math.max(this._intervalMilliseconds - elapsedTime, 0)
+      const nextPollIn = Math.max(this._getPollInterval(failures) - elapsedTime, 0)
 
-      return this._setNextPoll(nextPollIn)
+      return this._setNextPoll(nextPollIn + this._getJitter())
     } catch (err) {
       this._logger.error(err, `status check went boom for ${this._namespace}/${this._name}`)
     }
   }
 
   /**
-   * Sets a timeout for the next poll
+   * Sets a timeout for the next poll, chaining timeouts for delays longer
+   * than setTimeout supports.
    * @param {number} nextPollIn - Trigger poll in this many miliseconds
    */
   _setNextPoll (nextPollIn = this._intervalMilliseconds) {
@@ -248,6 +722,14 @@ class Poller {
       this._timeoutId = null
     }
 
+    if (nextPollIn > MAX_TIMEOUT_MILLISECONDS) {
+      this._timeoutId = setTimeout(() => {
+        this._timeoutId = null
+        this._setNextPoll(nextPollIn - MAX_TIMEOUT_MILLISECONDS)
+      }, MAX_TIMEOUT_MILLISECONDS)
+      return
+    }
+
     this._timeoutId = setTimeout(this._poll.bind(this), nextPollIn)
     this._logger.debug(`next poll for ${this._namespace}/${this._name} in ${nextPollIn} ms`)
   }
@@ -257,11 +739,15 @@ class Poller {
    * @param {boolean} forcePoll - Trigger poll right away
    * @returns {Object} Poller instance.
    */
-  start () {
+  start ({ forcePoll = false } = {}) {
     if (this._timeoutId) return this
 
     this._logger.info(`starting poller for ${this._namespace}/${this._name}`)
-    this._scheduleNextPoll()
+    if (forcePoll) {
+      this._setNextPoll(0)
+    } else {
+      this._scheduleNextPoll()
+    }
 
     return this
   }
@@ -1,6 +1,8 @@
 /* eslint-env mocha */
 'use strict'
 
+const crypto = require('crypto')
+
 const { expect } = require('chai')
 const sinon = require('sinon')
 
@@ -11,6 +13,7 @@ describe('Poller', () => {
   let kubeClientMock
   let loggerMock
   let metricsMock
+  let eventRecorderMock
   let pollerFactory
   let fakeCustomResourceManifest
   let kubeNamespaceMock
@@ -35,10 +38,14 @@ describe('Poller', () => {
 
     loggerMock.info = sinon.stub()
     loggerMock.debug = sinon.stub()
+    loggerMock.warn = sinon.stub()
     loggerMock.error = sinon.stub()
 
     metricsMock.observeSync = sinon.stub()
 
+    eventRecorderMock = sinon.mock()
+    eventRecorderMock.record = sinon.stub().resolves()
+
     externalSecretsApiMock = sinon.mock()
     externalSecretsApiMock.status = sinon.stub()
     externalSecretsApiMock.status.put = sinon.mock()
@@ -88,6 +95,7 @@ describe('Poller', () => {
           fakeBackendType: backendMock
         },
         metrics: metricsMock,
+        eventRecorder: eventRecorderMock,
         intervalMilliseconds: 5000,
         kubeClient: kubeClientMock,
         logger: loggerMock,
@@ -141,7 +149,12 @@ describe('Poller', () => {
             'fakePropertyName1',
             'fakePropertyName2'
           ]
-        }
+        },
+        context: {
+          namespace: 'fakeNamespace',
+          name: 'fakeSecretName'
+        },
+        strict: false
       })).to.equal(true)
 
       expect(secretManifest).deep.equals({
@@ -159,6 +172,20 @@ describe('Poller', () => {
       })
     })
 
+    it('creates secret manifest without owner for creationPolicy Orphan', async () => {
+      const poller = pollerFactory({
+        backendType: 'fakeBackendType',
+        name: 'fakeSecretName',
+        creationPolicy: 'Orphan',
+        data: []
+      })
+      backendMock.getSecretManifestData.resolves({ fakePropertyName: 'ZmFrZVByb3BlcnR5VmFsdWU=' })
+
+      const secretManifest = await poller._createSecretManifest()
+
+      expect(secretManifest.metadata).deep.equals({ name: 'fakeSecretName' })
+    })
+
     it('creates secret manifest - with type', async () => {
       const poller = pollerFactory({
         type: 'dummy-test-type',
@@ -186,7 +213,12 @@ describe('Poller', () => {
             'fakePropertyName1',
             'fakePropertyName2'
           ]
-        }
+        },
+        context: {
+          namespace: 'fakeNamespace',
+          name: 'fakeSecretName'
+        },
+        strict: false
       })).to.equal(true)
 
       expect(secretManifest).deep.equals({
@@ -253,7 +285,12 @@ describe('Poller', () => {
               name: 'fakerSecretName'
             }
           }
-        }
+        },
+        context: {
+          namespace: 'fakeNamespace',
+          name: 'fakeSecretName'
+        },
+        strict: false
       })).to.equal(true)
 
       expect(secretManifest).deep.equals({
@@ -276,6 +313,142 @@ describe('Poller', () => {
         }
       })
     })
+
+    it('creates secret manifest - with template data', async () => {
+      const poller = pollerFactory({
+        backendType: 'fakeBackendType',
+        data: [],
+        template: {
+          engine: 'go',
+          data: {
+            static: 'c3RhdGlj',
+            url: '{{ .username | base64 }}'
+          },
+          stringData: {
+            'config.yaml': 'db:\n  url: postgres://{{ .username }}:{{ .password }}@host/db'
+          }
+        }
+      })
+
+      backendMock.getSecretManifestData.resolves({
+        username: 'YWRtaW4=', // base 64 value of admin
+        password: 'cEBzcw==' // base 64 value of p@ss
+      })
+
+      const secretManifest = await poller._createSecretManifest()
+
+      expect(secretManifest.data).deep.equals({
+        static: 'c3RhdGlj',
+        url: 'YWRtaW4=',
+        username: 'YWRtaW4=',
+        password: 'cEBzcw=='
+      })
+      expect(secretManifest.stringData).deep.equals({
+        'config.yaml': 'db:\n  url: postgres://admin:p@ss@host/db'
+      })
+      expect(secretManifest).to.not.have.property('engine')
+      expect(poller._secretDescriptor.template.stringData['config.yaml']).to.contain('{{ .username }}')
+    })
+
+    it('creates secret manifest - with template data without engine', async () => {
+      const poller = pollerFactory({
+        backendType: 'fakeBackendType',
+        data: [],
+        template: {
+          stringData: {
+            'config.yaml': 'url: {{ .username }}'
+          }
+        }
+      })
+
+      backendMock.getSecretManifestData.resolves({ username: 'YWRtaW4=' })
+
+      const secretManifest = await poller._createSecretManifest()
+
+      expect(secretManifest.stringData).deep.equals({ 'config.yaml': 'url: {{ .username }}' })
+    })
+
+    it('creates secret manifest - with template of binary values', async () => {
+      const poller = pollerFactory({
+        backendType: 'fakeBackendType',
+        data: [],
+        template: {
+          engine: 'go',
+          data: {
+            'keystore.p12': '{{ .keystore | base64 }}'
+          }
+        }
+      })
+      const keystore = Buffer.from([0x30, 0x82, 0xff, 0x00, 0xfe])
+
+      backendMock.getSecretManifestData.resolves({ keystore: keystore.toString('base64') })
+
+      const secretManifest = await poller._createSecretManifest()
+
+      expect(secretManifest.data['keystore.p12']).equals(keystore.toString('base64'))
+    })
+
+    it('fails to create secret manifest - with unknown template engine', async () => {
+      const poller = pollerFactory({
+        backendType: 'fakeBackendType',
+        data: [],
+        template: {
+          engine: 'jinja',
+          stringData: {}
+        }
+      })
+
+      backendMock.getSecretManifestData.resolves({})
+
+      try {
+        await poller._createSecretManifest()
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Unknown template engine jinja, use one of go')
+      }
+    })
+
+    it('creates secret manifest - in strict mode', async () => {
+      fakeExternalSecret.secretDescriptor = { backendType: 'fakeBackendType', data: [] }
+      const poller = new Poller({
+        backends: { fakeBackendType: backendMock },
+        metrics: metricsMock,
+        intervalMilliseconds: 5000,
+        kubeClient: kubeClientMock,
+        logger: loggerMock,
+        externalSecret: fakeExternalSecret,
+        rolePermittedAnnotation,
+        strictMode: true,
+        customResourceManifest: fakeCustomResourceManifest
+      })
+      backendMock.getSecretManifestData.resolves({})
+
+      await poller._createSecretManifest()
+
+      expect(backendMock.getSecretManifestData.firstCall.args[0].strict).to.equal(true)
+    })
+
+    it('fails to create secret manifest - with broken template', async () => {
+      const poller = pollerFactory({
+        backendType: 'fakeBackendType',
+        data: [],
+        template: {
+          engine: 'go',
+          stringData: {
+            url: '{{ .missing }}'
+          }
+        }
+      })
+
+      backendMock.getSecretManifestData.resolves({})
+
+      try {
+        await poller._createSecretManifest()
+        expect.fail('Should not reach')
+      } catch (err) {
+        expect(err.message).equals('Could not render template.stringData.url, Could not find .missing, "missing" is missing')
+      }
+    })
   })
 
   describe('_poll', () => {
@@ -291,7 +464,7 @@ describe('Poller', () => {
     })
 
     it('polls secrets', async () => {
-      poller._upsertKubernetesSecret.resolves()
+      poller._upsertKubernetesSecret.resolves({ operation: 'updated', syncedKeys: ['fakePropertyName1'], retainedKeys: [] })
 
       await poller._poll()
       expect(loggerMock.info.calledWith(`running poll on the secret ${poller._namespace}/${poller._name}`)).to.equal(true)
@@ -300,9 +473,33 @@ describe('Poller', () => {
         name: 'fakeSecretName',
         namespace: 'fakeNamespace',
         backend: 'fakeBackendType',
-        status: 'success' })
-      expect(poller._updateStatus.calledWith('SUCCESS')).to.equal(true)
+        status: 'success',
+        operation: 'updated' })
+      expect(poller._updateStatus.calledWith('SUCCESS', { syncedKeys: ['fakePropertyName1'], retainedKeys: [], skipped: false })).to.equal(true)
       expect(poller._upsertKubernetesSecret.calledWith()).to.equal(true)
+      expect(eventRecorderMock.record.calledWith({
+        involvedObject: fakeExternalSecret,
+        reason: 'Updated',
+        message: 'Updated secret fakeSecretName with keys fakePropertyName1'
+      })).to.equal(true)
+    })
+
+    it('records no event for unchanged secrets', async () => {
+      poller._upsertKubernetesSecret.resolves({ operation: 'unchanged', syncedKeys: ['fakePropertyName1'] })
+
+      await poller._poll()
+
+      expect(eventRecorderMock.record.called).to.equal(false)
+    })
+
+    it('reports skipped secrets', async () => {
+      poller._upsertKubernetesSecret.resolves({ operation: 'skipped' })
+
+      await poller._poll()
+
+      expect(poller._updateStatus.calledWith('SUCCESS', { syncedKeys: undefined, retainedKeys: undefined, skipped: true })).to.equal(true)
+      expect(metricsMock.observeSync.firstCall.args[0].operation).equals('skipped')
+      expect(eventRecorderMock.record.called).to.equal(false)
     })
 
     it('logs error if storing secret operation fails', async () => {
@@ -315,9 +512,257 @@ describe('Poller', () => {
         name: 'fakeSecretName',
         namespace: 'fakeNamespace',
         backend: 'fakeBackendType',
-        status: 'error' })
-      expect(poller._updateStatus.calledWith(`ERROR, ${error.message}`)).to.equal(true)
+        status: 'error',
+        operation: 'none' })
+      expect(poller._updateStatus.calledWith(`ERROR, ${error.message}`, { error })).to.equal(true)
       expect(loggerMock.error.calledWith(error, `failure while polling the secret ${poller._namespace}/${poller._name}`)).to.equal(true)
+      expect(eventRecorderMock.record.calledWith({
+        involvedObject: fakeExternalSecret,
+        type: 'Warning',
+        reason: 'SyncFailed',
+        message: 'fake error message'
+      })).to.equal(true)
+    })
+
+    it('records the reason of failures', async () => {
+      const error = new Error('not allowed to fetch secret')
+      error.reason = 'NotPermitted'
+      poller._upsertKubernetesSecret.rejects(error)
+
+      await poller._poll()
+
+      expect(eventRecorderMock.record.firstCall.args[0].reason).equals('NotPermitted')
+    })
+
+    it('counts consecutive failures', async () => {
+      fakeExternalSecret.status = { failures: 2 }
+      poller = pollerFactory()
+      poller._upsertKubernetesSecret = sinon.stub().rejects(new Error('fake error message'))
+      poller._updateStatus = sinon.stub()
+
+      await poller._poll()
+      expect(poller._failures).to.equal(3)
+
+      poller._upsertKubernetesSecret.resolves({ operation: 'unchanged', syncedKeys: [] })
+      await poller._poll()
+      expect(poller._failures).to.equal(0)
+    })
+  })
+
+  describe('_updateStatus', () => {
+    let clock
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: Date.now() })
+      externalSecretsApiMock.status.put = sinon.stub().resolves()
+    })
+
+    afterEach(() => {
+      clock.restore()
+    })
+
+    it('reports the conflict policy', async () => {
+      const poller = pollerFactory({
+        backendType: 'fakeBackendType',
+        data: [],
+        conflictPolicy: 'error'
+      })
+
+      await poller._updateStatus('SUCCESS')
+
+      expect(externalSecretsApiMock.status.put.firstCall.args[0].body.status).deep.equals({
+        lastSync: new Date().toISOString(),
+        observedGeneration: 1,
+        status: 'SUCCESS',
+        failures: 0,
+        conditions: [
+          { type: 'Ready', status: 'True', reason: 'Synced', message: '', lastTransitionTime: new Date().toISOString() },
+          { type: 'Permitted', status: 'True', reason: 'Permitted', message: '', lastTransitionTime: new Date().toISOString() },
+          { type: 'BackendReachable', status: 'True', reason: 'BackendReachable', message: '', lastTransitionTime: new Date().toISOString() }
+        ],
+        lastSuccessfulSync: new Date().toISOString(),
+        syncedKeys: [],
+        retainedKeys: [],
+        dataFromKeys: [],
+        dataFromHash: poller._dataFromHash,
+        ownsSecret: true,
+        conflictPolicy: 'error',
+        onMissing: 'delete',
+        creationPolicy: 'Owner'
+      })
+    })
+
+    it('reports the synced keys', async () => {
+      const poller = pollerFactory()
+
+      await poller._updateStatus('SUCCESS', { syncedKeys: ['password', 'username'] })
+
+      expect(externalSecretsApiMock.status.put.firstCall.args[0].body.status.syncedKeys).deep.equals(['password', 'username'])
+    })
+
+    it('reports the keys imported by dataFrom', async () => {
+      const poller = pollerFactory({
+        backendType: 'fakeBackendType',
+        data: [{ key: 'fakeKey', name: 'password' }],
+        dataFrom: ['fakeKey'],
+        template: { stringData: { url: 'fakeUrl' } }
+      })
+
+      await poller._updateStatus('SUCCESS', { syncedKeys: ['password', 'url', 'username'] })
+
+      const status = externalSecretsApiMock.status.put.firstCall.args[0].body.status
+      expect(status.dataFromKeys).deep.equals(['username'])
+      expect(status.dataFromHash).equals(crypto.createHash('sha256').update('["fakeKey"]').digest('hex'))
+    })
+
+    it('reports the onMissing policy and retained keys', async () => {
+      const poller = pollerFactory({ backendType: 'fakeBackendType', data: [], onMissing: 'retain' })
+
+      await poller._updateStatus('SUCCESS', { syncedKeys: ['password', 'username'], retainedKeys: ['username'] })
+
+      const status = externalSecretsApiMock.status.put.firstCall.args[0].body.status
+      expect(status.onMissing).equals('retain')
+      expect(status.retainedKeys).deep.equals(['username'])
+    })
+
+    it('reports the ownership of the secret', async () => {
+      const poller = pollerFactory({ backendType: 'fakeBackendType', data: [], creationPolicy: 'Orphan' })
+
+      await poller._updateStatus('SUCCESS')
+
+      const status = externalSecretsApiMock.status.put.firstCall.args[0].body.status
+      expect(status.creationPolicy).equals('Orphan')
+      expect(status.ownsSecret).equals(false)
+    })
+
+    it('reports the reason of a failure', async () => {
+      const poller = pollerFactory()
+      poller._checks = { permitted: 'True', backendReachable: 'False' }
+      const error = new Error('connect ETIMEDOUT')
+      error.reason = 'BackendError'
+
+      await poller._updateStatus(`ERROR, ${error.message}`, { error })
+
+      const { conditions } = externalSecretsApiMock.status.put.firstCall.args[0].body.status
+      expect(conditions.map(({ type, status, reason, message }) => ({ type, status, reason, message }))).deep.equals([
+        { type: 'Ready', status: 'False', reason: 'BackendError', message: 'connect ETIMEDOUT' },
+        { type: 'Permitted', status: 'True', reason: 'Permitted', message: '' },
+        { type: 'BackendReachable', status: 'False', reason: 'BackendError', message: 'connect ETIMEDOUT' }
+      ])
+    })
+
+    it('reports checks not reached as unknown', async () => {
+      const poller = pollerFactory()
+      poller._checks = { permitted: 'False', backendReachable: 'Unknown' }
+      const error = new Error('not allowed to fetch secret')
+      error.reason = 'NotPermitted'
+
+      await poller._updateStatus(`ERROR, ${error.message}`, { error })
+
+      const { conditions } = externalSecretsApiMock.status.put.firstCall.args[0].body.status
+      expect(conditions.map(({ status }) => status)).deep.equals(['False', 'False', 'Unknown'])
+      expect(conditions[2].reason).equals('NotPermitted')
+    })
+
+    it('reports passed checks of failures without a reason', async () => {
+      const poller = pollerFactory()
+      poller._checks = { permitted: 'True', backendReachable: 'True' }
+      const error = new Error('fake error message')
+
+      await poller._updateStatus(`ERROR, ${error.message}`, { error })
+
+      const { conditions } = externalSecretsApiMock.status.put.firstCall.args[0].body.status
+      expect(conditions.map(({ type, status, reason }) => ({ type, status, reason }))).deep.equals([
+        { type: 'Ready', status: 'False', reason: 'SyncFailed' },
+        { type: 'Permitted', status: 'True', reason: 'Permitted' },
+        { type: 'BackendReachable', status: 'True', reason: 'BackendReachable' }
+      ])
+    })
+
+    it('keeps the last successful sync on failure', async () => {
+      fakeExternalSecret.status = {
+        lastSuccessfulSync: 'fakeLastSuccessfulSync',
+        syncedKeys: ['password'],
+        conditions: [
+          { type: 'Ready', status: 'True', reason: 'Synced', message: '', lastTransitionTime: 'fakeReadyTime' },
+          { type: 'Permitted', status: 'True', reason: 'Permitted', message: '', lastTransitionTime: 'fakePermittedTime' },
+          { type: 'BackendReachable', status: 'True', reason: 'BackendReachable', message: '', lastTransitionTime: 'fakeBackendTime' }
+        ]
+      }
+      const poller = pollerFactory()
+      poller._checks = { permitted: 'True', backendReachable: 'True' }
+      const error = new Error('Invalid value')
+      error.reason = 'InvalidSecretData'
+
+      await poller._updateStatus(`ERROR, ${error.message}`, { error })
+
+      const status = externalSecretsApiMock.status.put.firstCall.args[0].body.status
+      expect(status.lastSuccessfulSync).equals('fakeLastSuccessfulSync')
+      expect(status.syncedKeys).deep.equals(['password'])
+      expect(status.conditions.map(({ lastTransitionTime }) => lastTransitionTime)).deep.equals([
+        new Date().toISOString(),
+        'fakePermittedTime',
+        'fakeBackendTime'
+      ])
+    })
+
+    it('keeps the last successful sync when skipped', async () => {
+      fakeExternalSecret.status = {
+        lastSuccessfulSync: 'fakeLastSuccessfulSync',
+        syncedKeys: ['password'],
+        ownsSecret: true
+      }
+      const poller = pollerFactory({ backendType: 'fakeBackendType', data: [], creationPolicy: 'None' })
+
+      await poller._updateStatus('SUCCESS', { skipped: true })
+
+      const status = externalSecretsApiMock.status.put.firstCall.args[0].body.status
+      expect(status.lastSuccessfulSync).equals('fakeLastSuccessfulSync')
+      expect(status.syncedKeys).deep.equals(['password'])
+      expect(status.ownsSecret).equals(true)
+      expect(status.conditions.map(({ status, reason }) => [status, reason])).deep.equals([
+        ['True', 'Skipped'],
+        ['True', 'Permitted'],
+        ['True', 'BackendReachable']
+      ])
+    })
+
+    it('records no successful sync when skipped before any write', async () => {
+      const poller = pollerFactory({ backendType: 'fakeBackendType', data: [], creationPolicy: 'None' })
+
+      await poller._updateStatus('SUCCESS', { skipped: true })
+
+      const status = externalSecretsApiMock.status.put.firstCall.args[0].body.status
+      expect(status).to.not.have.property('lastSuccessfulSync')
+      expect(status).to.not.have.property('syncedKeys')
+    })
+
+    it('records the handled force sync annotation', async () => {
+      fakeExternalSecret.metadata.annotations = { 'kubernetes-client.io/force-sync': 'fakeTimestamp' }
+      fakeExternalSecret.secretDescriptor = { backendType: 'fakeBackendType', data: [] }
+      const poller = new Poller({
+        backends: { fakeBackendType: backendMock },
+        metrics: metricsMock,
+        intervalMilliseconds: 5000,
+        kubeClient: kubeClientMock,
+        logger: loggerMock,
+        externalSecret: fakeExternalSecret,
+        rolePermittedAnnotation,
+        forceSyncAnnotation: 'kubernetes-client.io/force-sync',
+        customResourceManifest: fakeCustomResourceManifest
+      })
+
+      await poller._updateStatus('SUCCESS')
+
+      expect(externalSecretsApiMock.status.put.firstCall.args[0].body.status.lastForceSync).equals('fakeTimestamp')
+    })
+
+    it('reports the default conflict policy', async () => {
+      const poller = pollerFactory()
+
+      await poller._updateStatus('SUCCESS')
+
+      expect(externalSecretsApiMock.status.put.firstCall.args[0].body.status.conflictPolicy).equals('lastWins')
     })
   })
 
@@ -398,6 +843,129 @@ describe('Poller', () => {
       })
     })
 
+    describe('backoff', () => {
+      it('backs off exponentially after failures', async () => {
+        fakeStatus.body.status.failures = 2
+        clock.tick(poller._intervalMilliseconds * 2)
+
+        await poller._scheduleNextPoll()
+
+        expect(poller._setNextPoll.calledWith(poller._intervalMilliseconds * 2)).to.equal(true)
+      })
+
+      it('limits the backoff', () => {
+        expect(poller._getPollInterval(0)).to.equal(5000)
+        expect(poller._getPollInterval(1)).to.equal(10000)
+        expect(poller._getPollInterval(3)).to.equal(40000)
+        expect(poller._getPollInterval(100)).to.equal(600000)
+
+        poller._maxBackoffMilliseconds = 1000
+        expect(poller._getPollInterval(3)).to.equal(5000)
+      })
+
+      it('adds jitter', async () => {
+        sinon.stub(Math, 'random').returns(0.5)
+        poller._jitterFactor = 0.1
+        clock.tick(2000)
+
+        await poller._scheduleNextPoll()
+
+        expect(poller._setNextPoll.calledWith(poller._intervalMilliseconds - 2000 + 250)).to.equal(true)
+      })
+    })
+
+    describe('refresh interval', () => {
+      const createPoller = secretDescriptor => {
+        fakeExternalSecret.secretDescriptor = secretDescriptor
+        const refreshPoller = new Poller({
+          backends: { fakeBackendType: backendMock },
+          metrics: metricsMock,
+          eventRecorder: eventRecorderMock,
+          intervalMilliseconds: 5000,
+          minIntervalMilliseconds: 1000,
+          maxIntervalMilliseconds: 60 * 60 * 1000,
+          kubeClient: kubeClientMock,
+          logger: loggerMock,
+          externalSecret: fakeExternalSecret,
+          rolePermittedAnnotation,
+          customResourceManifest: fakeCustomResourceManifest
+        })
+        refreshPoller._setNextPoll = sinon.stub()
+        return refreshPoller
+      }
+
+      it('uses the refresh interval of the external secret', async () => {
+        poller = createPoller({ backendType: 'fakeBackendType', refreshInterval: '1m' })
+        clock.tick(2000)
+
+        await poller._scheduleNextPoll()
+
+        expect(poller._setNextPoll.calledWith(60000 - 2000)).to.equal(true)
+      })
+
+      it('limits the refresh interval', () => {
+        expect(createPoller({ refreshInterval: '10ms' })._intervalMilliseconds).to.equal(1000)
+        expect(createPoller({ refreshInterval: '2d' })._intervalMilliseconds).to.equal(60 * 60 * 1000)
+        expect(createPoller({})._intervalMilliseconds).to.equal(5000)
+      })
+
+      it('waits for refresh intervals longer than setTimeout supports', async () => {
+        fakeExternalSecret.secretDescriptor = { backendType: 'fakeBackendType', refreshInterval: '30d' }
+        poller = new Poller({
+          backends: { fakeBackendType: backendMock },
+          metrics: metricsMock,
+          eventRecorder: eventRecorderMock,
+          intervalMilliseconds: 5000,
+          kubeClient: kubeClientMock,
+          logger: loggerMock,
+          externalSecret: fakeExternalSecret,
+          rolePermittedAnnotation,
+          customResourceManifest: fakeCustomResourceManifest
+        })
+        poller._poll = sinon.stub()
+        const thirtyDays = 30 * 24 * 60 * 60 * 1000
+
+        poller._setNextPoll()
+
+        clock.tick(1000)
+        expect(poller._poll.called).to.equal(false)
+        clock.tick(thirtyDays - 1001)
+        expect(poller._poll.called).to.equal(false)
+        clock.tick(1)
+        expect(poller._poll.calledOnce).to.equal(true)
+        poller.stop()
+      })
+
+      it('syncs once with a refresh interval of 0', async () => {
+        poller = createPoller({ backendType: 'fakeBackendType', refreshInterval: '0' })
+        clock.tick(poller._intervalMilliseconds * 2)
+
+        await poller._scheduleNextPoll()
+        expect(poller._setNextPoll.called).to.equal(false)
+
+        fakeStatus.body.status.failures = 1
+        await poller._scheduleNextPoll()
+        expect(poller._setNextPoll.calledWith(0)).to.equal(true)
+
+        delete fakeStatus.body.status.failures
+        delete fakeStatus.body.status.lastSync
+        poller._setNextPoll.resetHistory()
+        await poller._scheduleNextPoll()
+        expect(poller._setNextPoll.calledWith(0)).to.equal(true)
+      })
+
+      it('fails polls with an invalid refresh interval', async () => {
+        poller = createPoller({ backendType: 'fakeBackendType', refreshInterval: 'hourly' })
+        poller._upsertKubernetesSecret = sinon.stub()
+        poller._updateStatus = sinon.stub()
+
+        await poller._poll()
+
+        expect(poller._upsertKubernetesSecret.called).to.equal(false)
+        expect(poller._updateStatus.firstCall.args[0]).to.match(/^ERROR, Invalid refreshInterval, Invalid duration hourly/)
+      })
+    })
+
     describe('generation', () => {
       it('no observed generation', async () => {
         delete fakeStatus.body.status.observedGeneration
@@ -441,6 +1009,36 @@ describe('Poller', () => {
   describe('_upsertKubernetesSecret', () => {
     let poller
     let fakeNamespace
+    let secretMock
+
+    const secretManifest = () => ({
+      apiVersion: 'v1',
+      kind: 'Secret',
+      metadata: {
+        name: 'fakeSecretName'
+      },
+      type: 'some-type',
+      data: {
+        fakePropertyName: 'ZmFrZVByb3BlcnR5VmFsdWU='
+      }
+    })
+
+    // sha256 of the manifest above, serialized with sorted keys
+    const contentHash = crypto.createHash('sha256')
+      .update('{"apiVersion":"v1","data":{"fakePropertyName":"ZmFrZVByb3BlcnR5VmFsdWU="},"kind":"Secret","metadata":{"name":"fakeSecretName"},"type":"some-type"}')
+      .digest('hex')
+
+    const notFoundError = () => {
+      const error = new Error('Not Found')
+      error.statusCode = 404
+      return error
+    }
+
+    const expectedBody = () => {
+      const body = secretManifest()
+      body.metadata.annotations = { 'kubernetes-client.io/content-hash': contentHash }
+      return body
+    }
 
     beforeEach(() => {
       poller = pollerFactory({
@@ -455,64 +1053,95 @@ describe('Poller', () => {
           }
         }
       }
+      secretMock = {
+        get: sinon.stub().rejects(notFoundError()),
+        put: sinon.stub().resolves()
+      }
       kubeNamespaceMock.get = sinon.stub().resolves(fakeNamespace)
-      poller._createSecretManifest = sinon.stub().returns({
-        apiVersion: 'v1',
-        kind: 'Secret',
-        metadata: {
-          name: 'fakeSecretName'
-        },
-        type: 'some-type',
-        data: {
-          fakePropertyName: 'ZmFrZVByb3BlcnR5VmFsdWU='
-        }
-      })
+      kubeNamespaceMock.secrets = sinon.stub().returns(secretMock)
+      kubeNamespaceMock.secrets.post = sinon.stub().resolves()
+      poller._createSecretManifest = sinon.stub().callsFake(async () => secretManifest())
     })
 
     it('creates new secret', async () => {
-      kubeNamespaceMock.secrets.post = sinon.stub().resolves()
+      const { operation, syncedKeys } = await poller._upsertKubernetesSecret()
 
-      await poller._upsertKubernetesSecret()
+      expect(operation).equals('created')
+      expect(syncedKeys).deep.equals(['fakePropertyName'])
+      expect(kubeNamespaceMock.secrets.calledWith('fakeSecretName')).to.equal(true)
+      expect(kubeNamespaceMock.secrets.post.calledWith({ body: expectedBody() })).to.equal(true)
+      expect(secretMock.put.called).to.equal(false)
+    })
 
-      expect(kubeNamespaceMock.secrets.post.calledWith({
+    it('updates secret', async () => {
+      secretMock.get.resolves({
         body: {
-          apiVersion: 'v1',
-          kind: 'Secret',
           metadata: {
-            name: 'fakeSecretName'
-          },
-          type: 'some-type',
-          data: {
-            fakePropertyName: 'ZmFrZVByb3BlcnR5VmFsdWU='
+            name: 'fakeSecretName',
+            annotations: { 'kubernetes-client.io/content-hash': 'outdated' }
           }
         }
-      })).to.equal(true)
+      })
+
+      const { operation } = await poller._upsertKubernetesSecret()
+
+      expect(operation).equals('updated')
+      expect(kubeNamespaceMock.secrets.post.called).to.equal(false)
+      expect(secretMock.put.calledWith({ body: expectedBody() })).to.equal(true)
     })
 
-    it('updates secret', async () => {
+    it('updates secret created meanwhile', async () => {
       const conflictError = new Error('Conflict')
       conflictError.statusCode = 409
-      kubeNamespaceMock.secrets.post = sinon.stub().throws(conflictError)
-      kubeNamespaceMock.put = sinon.stub().resolves()
-      kubeNamespaceMock.get = sinon.stub().resolves(fakeNamespace)
+      kubeNamespaceMock.secrets.post = sinon.stub().rejects(conflictError)
 
-      await poller._upsertKubernetesSecret()
+      const { operation } = await poller._upsertKubernetesSecret()
 
-      expect(kubeNamespaceMock.secrets.calledWith('fakeSecretName')).to.equal(true)
+      expect(operation).equals('updated')
+      expect(secretMock.put.calledWith({ body: expectedBody() })).to.equal(true)
+    })
 
-      expect(kubeNamespaceMock.put.calledWith({
-        body: {
-          apiVersion: 'v1',
-          kind: 'Secret',
-          metadata: {
-            name: 'fakeSecretName'
-          },
-          type: 'some-type',
-          data: {
-            fakePropertyName: 'ZmFrZVByb3BlcnR5VmFsdWU='
-          }
-        }
-      })).to.equal(true)
+    it('skips unchanged secret', async () => {
+      secretMock.get.resolves({ body: expectedBody() })
+
+      const { operation } = await poller._upsertKubernetesSecret()
+
+      expect(operation).equals('unchanged')
+      expect(kubeNamespaceMock.secrets.post.called).to.equal(false)
+      expect(secretMock.put.called).to.equal(false)
+    })
+
+    it('recreates a deleted secret', async () => {
+      fakeExternalSecret.status = { lastSuccessfulSync: 'fakeLastSuccessfulSync', syncedKeys: ['fakePropertyName'] }
+
+      const { operation } = await poller._upsertKubernetesSecret()
+
+      expect(operation).equals('created')
+      expect(kubeNamespaceMock.secrets.post.calledWith({ body: expectedBody() })).to.equal(true)
+    })
+
+    it('writes unchanged secret when a sync is forced', async () => {
+      fakeExternalSecret.metadata.annotations = { 'kubernetes-client.io/force-sync': 'fakeTimestamp' }
+      fakeExternalSecret.status = { lastForceSync: 'fakeOlderTimestamp' }
+      fakeExternalSecret.secretDescriptor = { backendType: 'fakeBackendType', properties: ['fakePropertyName'] }
+      poller = new Poller({
+        backends: { fakeBackendType: backendMock },
+        metrics: metricsMock,
+        intervalMilliseconds: 5000,
+        kubeClient: kubeClientMock,
+        logger: loggerMock,
+        externalSecret: fakeExternalSecret,
+        rolePermittedAnnotation,
+        forceSyncAnnotation: 'kubernetes-client.io/force-sync',
+        customResourceManifest: fakeCustomResourceManifest
+      })
+      poller._createSecretManifest = sinon.stub().callsFake(async () => secretManifest())
+      secretMock.get.resolves({ body: expectedBody() })
+
+      const { operation } = await poller._upsertKubernetesSecret()
+
+      expect(operation).equals('updated')
+      expect(secretMock.put.calledWith({ body: expectedBody() })).to.equal(true)
     })
 
     it('does not permit update of secret', async () => {
@@ -523,7 +1152,6 @@ describe('Poller', () => {
         roleArn: 'arn:aws:iam::123456789012:role/test-role',
         properties: ['fakePropertyName']
       })
-      kubeNamespaceMock.get = sinon.stub().resolves(fakeNamespace)
 
       let error
       try {
@@ -534,6 +1162,305 @@ describe('Poller', () => {
 
       expect(error).to.not.equal(undefined)
       expect(error.message).equals('not allowed to fetch secret: fakeNamespace/fakeSecretName: namspace does not allow to assume role arn:aws:iam::123456789012:role/test-role')
+      expect(error.reason).equals('NotPermitted')
+      expect(poller._checks).deep.equals({ permitted: 'False', backendReachable: 'Unknown' })
+    })
+
+    it('reports the synced keys of data and stringData', async () => {
+      poller._createSecretManifest = sinon.stub().resolves({
+        ...secretManifest(),
+        stringData: { config: 'fakeConfig', fakePropertyName: 'fakePropertyValue' }
+      })
+
+      const { syncedKeys } = await poller._upsertKubernetesSecret()
+
+      expect(syncedKeys).deep.equals(['config', 'fakePropertyName'])
+    })
+
+    it('marks errors creating the manifest as invalid secret data', async () => {
+      poller._createSecretManifest = sinon.stub().rejects(new Error('Could not render template.data.url'))
+
+      let error
+      try {
+        await poller._upsertKubernetesSecret()
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.reason).equals('InvalidSecretData')
+      expect(poller._checks).deep.equals({ permitted: 'True', backendReachable: 'True' })
+    })
+
+    it('reports access denied by the backend as not permitted', async () => {
+      const accessDeniedError = new Error('not authorized to perform: sts:AssumeRole')
+      accessDeniedError.reason = 'NotPermitted'
+      poller._createSecretManifest = sinon.stub().rejects(accessDeniedError)
+
+      let error
+      try {
+        await poller._upsertKubernetesSecret()
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.reason).equals('NotPermitted')
+      expect(poller._checks).deep.equals({ permitted: 'False', backendReachable: 'True' })
+    })
+
+    it('keeps the reason of backend errors', async () => {
+      const backendError = new Error('connect ETIMEDOUT')
+      backendError.reason = 'BackendError'
+      poller._createSecretManifest = sinon.stub().rejects(backendError)
+
+      let error
+      try {
+        await poller._upsertKubernetesSecret()
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.reason).equals('BackendError')
+      expect(poller._checks).deep.equals({ permitted: 'True', backendReachable: 'False' })
+    })
+
+    describe('onMissing', () => {
+      beforeEach(() => {
+        secretMock.get.resolves({
+          body: {
+            metadata: { name: 'fakeSecretName', annotations: {} },
+            data: {
+              fakePropertyName: 'b2xkVmFsdWU=',
+              deletedPropertyName: 'ZGVsZXRlZFZhbHVl'
+            }
+          }
+        })
+      })
+
+      const createPoller = (onMissing, {
+        data = [
+          { key: 'fakeKey', name: 'fakePropertyName' },
+          { key: 'fakeKey', name: 'deletedPropertyName' }
+        ],
+        dataFrom
+      } = {}) => {
+        fakeExternalSecret.status = { syncedKeys: ['deletedPropertyName', 'fakePropertyName'] }
+        const onMissingPoller = pollerFactory({
+          backendType: 'fakeBackendType',
+          name: 'fakeSecretName',
+          data,
+          dataFrom,
+          onMissing
+        })
+        onMissingPoller._createSecretManifest = sinon.stub().callsFake(async () => secretManifest())
+        return onMissingPoller
+      }
+
+      // Records deletedPropertyName as imported by the given dataFrom entries.
+      const importedBefore = dataFrom => {
+        fakeExternalSecret.status = {
+          ...fakeExternalSecret.status,
+          dataFromKeys: ['deletedPropertyName'],
+          dataFromHash: crypto.createHash('sha256').update(JSON.stringify(dataFrom)).digest('hex')
+        }
+      }
+
+      it('deletes keys missing in the backend by default', async () => {
+        const { syncedKeys, retainedKeys } = await poller._upsertKubernetesSecret()
+
+        expect(syncedKeys).deep.equals(['fakePropertyName'])
+        expect(retainedKeys).deep.equals([])
+        expect(secretMock.put.calledWith({ body: expectedBody() })).to.equal(true)
+      })
+
+      it('retains keys missing in the backend', async () => {
+        poller = createPoller('retain')
+
+        const { syncedKeys, retainedKeys } = await poller._upsertKubernetesSecret()
+
+        expect(syncedKeys).deep.equals(['deletedPropertyName', 'fakePropertyName'])
+        expect(retainedKeys).deep.equals(['deletedPropertyName'])
+        expect(secretMock.put.firstCall.args[0].body.data).deep.equals({
+          fakePropertyName: 'ZmFrZVByb3BlcnR5VmFsdWU=',
+          deletedPropertyName: 'ZGVsZXRlZFZhbHVl'
+        })
+      })
+
+      it('fails on keys missing in the backend', async () => {
+        poller = createPoller('fail')
+
+        let error
+        try {
+          await poller._upsertKubernetesSecret()
+        } catch (err) {
+          error = err
+        }
+
+        expect(error.message).equals('Keys of secret fakeNamespace/fakeSecretName missing in the backend: deletedPropertyName')
+        expect(error.reason).equals('MissingKeys')
+        expect(secretMock.put.called).to.equal(false)
+      })
+
+      it('retains keys missing in the backend imported by dataFrom', async () => {
+        poller = createPoller('retain', { data: [{ key: 'fakeKey', name: 'fakePropertyName' }], dataFrom: ['fakeKey'] })
+        importedBefore(['fakeKey'])
+
+        const { retainedKeys } = await poller._upsertKubernetesSecret()
+
+        expect(retainedKeys).deep.equals(['deletedPropertyName'])
+      })
+
+      it('drops keys of entries removed from the spec with retain', async () => {
+        poller = createPoller('retain', { data: [{ key: 'fakeKey', name: 'fakePropertyName' }] })
+
+        const { syncedKeys, retainedKeys } = await poller._upsertKubernetesSecret()
+
+        expect(syncedKeys).deep.equals(['fakePropertyName'])
+        expect(retainedKeys).deep.equals([])
+        expect(secretMock.put.firstCall.args[0].body.data).deep.equals({
+          fakePropertyName: 'ZmFrZVByb3BlcnR5VmFsdWU='
+        })
+      })
+
+      it('drops keys of dataFrom entries removed from the spec with retain', async () => {
+        poller = createPoller('retain', { data: [{ key: 'fakeKey', name: 'fakePropertyName' }], dataFrom: [] })
+        importedBefore(['fakeKey'])
+
+        const { retainedKeys } = await poller._upsertKubernetesSecret()
+
+        expect(retainedKeys).deep.equals([])
+        expect(secretMock.put.firstCall.args[0].body.data).to.not.have.property('deletedPropertyName')
+      })
+
+      it('does not fail on keys of entries removed from the spec', async () => {
+        poller = createPoller('fail', { data: [{ key: 'fakeKey', name: 'fakePropertyName' }] })
+
+        const { syncedKeys } = await poller._upsertKubernetesSecret()
+
+        expect(syncedKeys).deep.equals(['fakePropertyName'])
+        expect(secretMock.put.calledWith({ body: expectedBody() })).to.equal(true)
+      })
+
+      it('ignores keys added to the secret by hand', async () => {
+        poller = createPoller('fail', { data: [{ key: 'fakeKey', name: 'fakePropertyName' }] })
+        fakeExternalSecret.status = { syncedKeys: ['fakePropertyName'] }
+
+        const { syncedKeys } = await poller._upsertKubernetesSecret()
+
+        expect(syncedKeys).deep.equals(['fakePropertyName'])
+      })
+
+      it('fails polls with an unknown policy', async () => {
+        poller = createPoller('ignore')
+        poller._upsertKubernetesSecret = sinon.stub()
+        poller._updateStatus = sinon.stub()
+
+        await poller._poll()
+
+        expect(poller._upsertKubernetesSecret.called).to.equal(false)
+        expect(poller._updateStatus.firstCall.args[0]).equals('ERROR, Unknown onMissing ignore, use one of retain, delete, fail')
+      })
+    })
+
+    describe('creationPolicy', () => {
+      const createPoller = creationPolicy => {
+        const creationPolicyPoller = pollerFactory({
+          backendType: 'fakeBackendType',
+          name: 'fakeSecretName',
+          properties: ['fakePropertyName'],
+          creationPolicy
+        })
+        creationPolicyPoller._createSecretManifest = sinon.stub().callsFake(async () => secretManifest())
+        return creationPolicyPoller
+      }
+
+      it('does not write the secret with None', async () => {
+        poller = createPoller('None')
+
+        const result = await poller._upsertKubernetesSecret()
+
+        expect(result).deep.equals({ operation: 'skipped' })
+        expect(secretMock.get.called).to.equal(false)
+        expect(kubeNamespaceMock.secrets.post.called).to.equal(false)
+        expect(secretMock.put.called).to.equal(false)
+      })
+
+      it('merges keys into the existing secret with Merge', async () => {
+        fakeExternalSecret.status = { syncedKeys: ['fakePropertyName', 'deletedPropertyName'] }
+        poller = createPoller('Merge')
+        secretMock.get.resolves({
+          body: {
+            metadata: {
+              name: 'fakeSecretName',
+              resourceVersion: '42',
+              labels: { app: 'fakeApp' },
+              annotations: { 'kubernetes-client.io/content-hash': 'outdated', owner: 'fakeTeam' }
+            },
+            type: 'kubernetes.io/tls',
+            data: {
+              fakePropertyName: 'b2xkVmFsdWU=',
+              deletedPropertyName: 'ZGVsZXRlZFZhbHVl',
+              'tls.crt': 'ZmFrZUNlcnQ='
+            }
+          }
+        })
+
+        const { operation, syncedKeys } = await poller._upsertKubernetesSecret()
+
+        expect(operation).equals('updated')
+        expect(syncedKeys).deep.equals(['fakePropertyName'])
+        const { body } = secretMock.put.firstCall.args[0]
+        expect(body.metadata.labels).deep.equals({ app: 'fakeApp' })
+        expect(body.metadata.annotations.owner).equals('fakeTeam')
+        expect(body.metadata).to.not.have.property('resourceVersion')
+        expect(body.type).equals('kubernetes.io/tls')
+        expect(body.data).deep.equals({
+          fakePropertyName: 'ZmFrZVByb3BlcnR5VmFsdWU=',
+          'tls.crt': 'ZmFrZUNlcnQ='
+        })
+      })
+
+      it('fails to merge into a missing secret', async () => {
+        poller = createPoller('Merge')
+
+        let error
+        try {
+          await poller._upsertKubernetesSecret()
+        } catch (err) {
+          error = err
+        }
+
+        expect(error.message).equals('Secret fakeNamespace/fakeSecretName to merge into does not exist')
+        expect(error.reason).equals('SecretNotFound')
+        expect(kubeNamespaceMock.secrets.post.called).to.equal(false)
+      })
+
+      it('fails polls with an unknown policy', async () => {
+        poller = createPoller('Adopt')
+        poller._upsertKubernetesSecret = sinon.stub()
+        poller._updateStatus = sinon.stub()
+
+        await poller._poll()
+
+        expect(poller._upsertKubernetesSecret.called).to.equal(false)
+        expect(poller._updateStatus.firstCall.args[0]).equals('ERROR, Unknown creationPolicy Adopt, use one of Owner, Orphan, Merge, None')
+      })
+    })
+
+    it('fails reading secret', async () => {
+      const forbiddenError = new Error('Forbidden')
+      forbiddenError.statusCode = 403
+      secretMock.get.rejects(forbiddenError)
+
+      let error
+      try {
+        await poller._upsertKubernetesSecret()
+      } catch (err) {
+        error = err
+      }
+
+      expect(error).to.equal(forbiddenError)
+      expect(error.reason).equals('SecretWriteFailed')
+      expect(kubeNamespaceMock.secrets.post.called).to.equal(false)
     })
 
     it('fails storing secret', async () => {
@@ -575,6 +1502,15 @@ describe('Poller', () => {
       expect(loggerMock.info.calledWith(`starting poller for ${poller._namespace}/${poller._name}`)).to.equal(true)
       expect(poller._scheduleNextPoll.called).to.equal(true)
     })
+
+    it('forces a poll', async () => {
+      poller._setNextPoll = sinon.stub()
+
+      poller.start({ forcePoll: true })
+
+      expect(poller._setNextPoll.calledWith(0)).to.equal(true)
+      expect(poller._scheduleNextPoll.called).to.equal(false)
+    })
   })
 
   describe('stop', () => {
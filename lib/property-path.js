@@ -0,0 +1,97 @@
+'use strict'
+
+/**
+ * Split a property path into its segments. Supports dot and bracket
+ * notation, e.g. db.primary.password, users[0].token or ['tls.crt'],
+ * optionally prefixed with the JSONPath root $.
+ * @param {string} path - Property path.
+ * @returns {Array<string|number>} Path segments, numbers for array indices.
+ */
+function parsePropertyPath (path) {
+  const segments = []
+  let position = path.startsWith('$') ? 1 : 0
+
+  const fail = () => {
+    throw new Error(`Invalid property path ${path}`)
+  }
+
+  while (position < path.length) {
+    const char = path.charAt(position)
+
+    if (char === '.') {
+      position++
+      if (position === path.length || '.['.includes(path.charAt(position))) fail()
+    } else if (char === '[') {
+      const quote = path.charAt(position + 1)
+      if (quote === '"' || quote === '\'') {
+        const end = path.indexOf(`${quote}]`, position + 2)
+        if (end === -1) fail()
+        segments.push(path.slice(position + 2, end))
+        position = end + 2
+      } else {
+        const end = path.indexOf(']', position)
+        const index = path.slice(position + 1, end)
+        if (end === -1 || !/^\d+$/.test(index)) fail()
+        segments.push(Number(index))
+        position = end + 1
+      }
+    } else {
+      const match = /^[^.[]+/.exec(path.slice(position))
+      segments.push(match[0])
+      position += match[0].length
+    }
+  }
+
+  return segments
+}
+
+/**
+ * Format path segments as a property path.
+ * @param {Array<string|number>} segments - Path segments.
+ * @returns {string} Property path, e.g. users[0].token.
+ */
+function formatPropertyPath (segments) {
+  return segments
+    .map((segment, index) => {
+      if (typeof segment === 'number') return `[${segment}]`
+      if (/[.[\]]/.test(segment)) return `['${segment}']`
+      return index === 0 ? segment : `.${segment}`
+    })
+    .join('')
+}
+
+/**
+ * Get the value at a property path of an object. A property named like the
+ * whole path takes precedence, so keys containing dots keep working.
+ * @param {Object} object - Object to read from.
+ * @param {string} path - Property path, see parsePropertyPath.
+ * @returns {*} Value at the property path.
+ * @throws {Error} Naming the first segment of the path that is missing.
+ */
+function getProperty (object, path) {
+  const has = (value, segment) => value !== null &&
+    typeof value === 'object' &&
+    Object.prototype.hasOwnProperty.call(value, segment)
+
+  if (has(object, path)) {
+    return object[path]
+  }
+
+  const segments = parsePropertyPath(path)
+  let value = object
+
+  segments.forEach((segment, index) => {
+    if (!has(value, segment)) {
+      const parent = formatPropertyPath(segments.slice(0, index))
+      throw new Error(`"${segment}" is missing${parent ? ` in ${parent}` : ''}`)
+    }
+    value = value[segment]
+  })
+
+  return value
+}
+
+module.exports = {
+  getProperty,
+  parsePropertyPath
+}
@@ -0,0 +1,54 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+
+const { getProperty, parsePropertyPath } = require('./property-path')
+
+describe('property-path', () => {
+  describe('parsePropertyPath', () => {
+    it('parses dot and bracket notation', () => {
+      expect(parsePropertyPath('password')).deep.equals(['password'])
+      expect(parsePropertyPath('db.primary.password')).deep.equals(['db', 'primary', 'password'])
+      expect(parsePropertyPath('users[0].token')).deep.equals(['users', 0, 'token'])
+      expect(parsePropertyPath('certs[\'tls.crt\']')).deep.equals(['certs', 'tls.crt'])
+      expect(parsePropertyPath('["tls.key"]')).deep.equals(['tls.key'])
+      expect(parsePropertyPath('$.users[1][0]')).deep.equals(['users', 1, 0])
+    })
+
+    it('rejects invalid paths', () => {
+      ['db..password', 'users[a]', 'users[0', 'certs[\'tls.crt]', 'db.'].forEach(path => {
+        expect(() => parsePropertyPath(path)).to.throw(`Invalid property path ${path}`)
+      })
+    })
+  })
+
+  describe('getProperty', () => {
+    const object = {
+      db: { primary: { password: 'fakePassword' } },
+      users: [{ token: 'fakeToken' }],
+      'tls.crt': 'fakeCertificate'
+    }
+
+    it('gets nested values', () => {
+      expect(getProperty(object, 'db.primary.password')).equals('fakePassword')
+      expect(getProperty(object, 'users[0].token')).equals('fakeToken')
+      expect(getProperty(object, 'db.primary')).deep.equals({ password: 'fakePassword' })
+    })
+
+    it('prefers properties named like the whole path', () => {
+      expect(getProperty(object, 'tls.crt')).equals('fakeCertificate')
+    })
+
+    it('names the missing segment', () => {
+      expect(() => getProperty(object, 'missing')).to.throw('"missing" is missing')
+      expect(() => getProperty(object, 'db.replica.password')).to.throw('"replica" is missing in db')
+      expect(() => getProperty(object, 'users[1].token')).to.throw('"1" is missing in users')
+      expect(() => getProperty(object, 'db.primary.password.length')).to.throw('"length" is missing in db.primary.password')
+    })
+
+    it('ignores inherited properties', () => {
+      expect(() => getProperty(object, 'constructor')).to.throw('"constructor" is missing')
+    })
+  })
+})
@@ -0,0 +1,189 @@
+'use strict'
+
+const { getProperty } = require('./property-path')
+
+// Actions look like {{ .password }}, a dash trims whitespace on its side,
+// e.g. {{- .password -}}.
+const ACTION_PATTERN = /\{\{(-\s)?\s*([\s\S]*?)\s*(\s-)?\}\}/g
+
+const TOKEN_PATTERN = /\s*("(?:[^"\\]|\\.)*"|`[^`]*`|\||[^\s|"`]+)/y
+
+/**
+ * Get a property of an object, like Go templates' index function.
+ * @param {Object} object - Object to read from.
+ * @param {...(string|number)} keys - Property names or array indices.
+ * @returns {*} Property value.
+ */
+function index (object, ...keys) {
+  return keys.reduce((value, key) => {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      throw new Error(`"${key}" is missing`)
+    }
+    return value[key]
+  }, object)
+}
+
+/**
+ * Convert the binary values in a value to utf8 text. Values are kept as
+ * Buffers until then, so that base64 encodes them byte-exact.
+ * @param {*} value - Value, or object or array of values.
+ * @returns {*} Value with strings in place of Buffers.
+ */
+function toText (value) {
+  if (Buffer.isBuffer(value)) {
+    return value.toString('utf8')
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toText)
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, toText(item)]))
+  }
+
+  return value
+}
+
+const functions = new Map([
+  ['base64', value => (Buffer.isBuffer(value) ? value : Buffer.from(`${value}`, 'utf8')).toString('base64')],
+  ['base64Decode', value => Buffer.from(`${value}`, 'base64').toString('utf8')],
+  ['index', index],
+  ['indent', (spaces, value) => {
+    const padding = ' '.repeat(spaces)
+    return padding + `${value}`.replace(/\n/g, `\n${padding}`)
+  }],
+  ['lower', value => `${value}`.toLowerCase()],
+  ['quote', value => JSON.stringify(`${value}`)],
+  ['toJson', value => JSON.stringify(toText(value))],
+  ['trim', value => `${value}`.trim()],
+  ['upper', value => `${value}`.toUpperCase()]
+])
+
+/**
+ * Split a template action into the commands of its pipeline.
+ * @param {string} action - Action without braces, e.g. .password | base64.
+ * @returns {Array<string[]>} Tokens of each command.
+ */
+function parsePipeline (action) {
+  const commands = [[]]
+  TOKEN_PATTERN.lastIndex = 0
+
+  while (TOKEN_PATTERN.lastIndex < action.length) {
+    const match = TOKEN_PATTERN.exec(action)
+    if (!match) {
+      throw new Error(`Invalid action {{ ${action} }}`)
+    }
+
+    if (match[1] === '|') {
+      commands.push([])
+    } else {
+      commands[commands.length - 1].push(match[1])
+    }
+  }
+
+  if (commands.some(command => command.length === 0)) {
+    throw new Error(`Invalid action {{ ${action} }}`)
+  }
+
+  return commands
+}
+
+/**
+ * Evaluate an argument of a command.
+ * @param {string} arg - A field like .password, . or a string or number literal.
+ * @param {Object} values - Values the template can reference.
+ * @returns {*} Argument value.
+ */
+function evaluateArgument (arg, values) {
+  if (arg === '.') {
+    return values
+  }
+
+  if (arg.startsWith('.')) {
+    try {
+      return getProperty(values, arg.slice(1))
+    } catch (err) {
+      throw new Error(`Could not find ${arg}, ${err.message}`)
+    }
+  }
+
+  if (arg.startsWith('"')) {
+    return JSON.parse(arg)
+  }
+
+  if (arg.startsWith('`')) {
+    return arg.slice(1, -1)
+  }
+
+  if (/^-?\d*\.?\d+$/.test(arg)) {
+    return Number(arg)
+  }
+
+  throw new Error(`Unknown function ${arg}`)
+}
+
+/**
+ * Evaluate a template action. Like in Go templates, the result of each
+ * command of a pipeline is passed to the next as its last argument.
+ * @param {string} action - Action without braces, e.g. .password | base64.
+ * @param {Object} values - Values the template can reference.
+ * @returns {string} Result of the action.
+ */
+function evaluateAction (action, values) {
+  const result = parsePipeline(action).reduce((piped, [name, ...args], position) => {
+    const argumentValues = args.map(arg => evaluateArgument(arg, values))
+    if (position > 0) {
+      argumentValues.push(piped)
+    }
+
+    if (functions.has(name)) {
+      return functions.get(name)(...argumentValues)
+    }
+
+    if (position > 0 || args.length > 0) {
+      throw new Error(`Unknown function ${name}`)
+    }
+
+    return evaluateArgument(name, values)
+  }, undefined)
+
+  const text = toText(result)
+  if (typeof text === 'string') {
+    return text
+  }
+
+  return text !== null && typeof text === 'object' ? JSON.stringify(text) : `${text}`
+}
+
+/**
+ * Render a template, a string with Go template style actions, e.g.
+ * postgres://{{ .username }}:{{ .password | quote }}@host/db.
+ * @param {string} template - Template text.
+ * @param {Object} values - Values the template can reference, strings or Buffers.
+ * @returns {string} Rendered text.
+ * @throws {Error} If an action is malformed or references missing values.
+ */
+function renderTemplate (template, values) {
+  let rendered = ''
+  let position = 0
+  let trimNext = false
+
+  for (const match of template.matchAll(ACTION_PATTERN)) {
+    const [action, trimLeft, expression, trimRight] = match
+    let text = template.slice(position, match.index)
+    if (trimNext) text = text.trimStart()
+    if (trimLeft) text = text.trimEnd()
+
+    rendered += text + evaluateAction(expression, values)
+    position = match.index + action.length
+    trimNext = Boolean(trimRight)
+  }
+
+  const text = template.slice(position)
+  return rendered + (trimNext ? text.trimStart() : text)
+}
+
+module.exports = {
+  renderTemplate
+}
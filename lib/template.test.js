@@ -0,0 +1,62 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+
+const { renderTemplate } = require('./template')
+
+describe('template', () => {
+  describe('renderTemplate', () => {
+    const values = {
+      username: 'admin',
+      password: 'p@ss',
+      'tls.key': 'fakeKey',
+      config: 'a: 1\nb: 2'
+    }
+
+    it('keeps text without actions', () => {
+      expect(renderTemplate('ZmFrZVZhbHVl', values)).equals('ZmFrZVZhbHVl')
+    })
+
+    it('references values', () => {
+      expect(renderTemplate('postgres://{{ .username }}:{{.password}}@host/db', values))
+        .equals('postgres://admin:p@ss@host/db')
+      expect(renderTemplate('{{ .tls.key }} {{ index . "tls.key" }}', values)).equals('fakeKey fakeKey')
+    })
+
+    it('pipes values through functions', () => {
+      expect(renderTemplate('{{ .password | base64 }}', values)).equals('cEBzcw==')
+      expect(renderTemplate('{{ "cEBzcw==" | base64Decode | upper | quote }}', values)).equals('"P@SS"')
+      expect(renderTemplate('{{ . | toJson }}', { username: 'admin' })).equals('{"username":"admin"}')
+      expect(renderTemplate('{{ `  Admin ` | trim | lower }}', values)).equals('admin')
+    })
+
+    it('keeps binary values intact', () => {
+      const keystore = Buffer.from([0x30, 0x82, 0xff, 0x00])
+
+      expect(renderTemplate('{{ .keystore | base64 }}', { keystore })).equals('MIL/AA==')
+      expect(renderTemplate('{{ .username }} {{ .username | upper }}', { username: Buffer.from('admin') }))
+        .equals('admin ADMIN')
+      expect(renderTemplate('{{ . | toJson }}', { username: Buffer.from('admin') })).equals('{"username":"admin"}')
+    })
+
+    it('indents values', () => {
+      expect(renderTemplate('config:\n{{ .config | indent 2 }}', values)).equals('config:\n  a: 1\n  b: 2')
+    })
+
+    it('trims whitespace next to actions with a dash', () => {
+      expect(renderTemplate('user:  {{- .username -}} \n !', values)).equals('user:admin!')
+    })
+
+    it('rejects missing values', () => {
+      expect(() => renderTemplate('{{ .missing }}', values)).to.throw('Could not find .missing, "missing" is missing')
+      expect(() => renderTemplate('{{ index . "missing" }}', values)).to.throw('"missing" is missing')
+    })
+
+    it('rejects unknown functions and malformed actions', () => {
+      expect(() => renderTemplate('{{ .password | sha256 }}', values)).to.throw('Unknown function sha256')
+      expect(() => renderTemplate('{{ .password | }}', values)).to.throw('Invalid action {{ .password | }}')
+      expect(() => renderTemplate('{{ "unterminated }}', values)).to.throw('Invalid action')
+    })
+  })
+})
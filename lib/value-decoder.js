@@ -0,0 +1,40 @@
+'use strict'
+
+const decoders = new Map([
+  ['base64', { isValid: text => /^[A-Za-z0-9+/]*={0,2}$/.test(text), encoding: 'base64' }],
+  ['base64url', { isValid: text => /^[A-Za-z0-9_-]*={0,2}$/.test(text), encoding: 'base64' }],
+  ['hex', { isValid: text => /^[0-9A-Fa-f]*$/.test(text) && text.length % 2 === 0, encoding: 'hex' }]
+])
+
+/**
+ * Decode a secret value stored in an encoded form.
+ * @param {string|Buffer} value - Secret value from the backend.
+ * @param {string} decodingStrategy - How the value is encoded: base64,
+ *   base64url, hex or none.
+ * @returns {string|Buffer} Decoded bytes, or the value itself for none.
+ * @throws {Error} If the strategy is unknown or the value is not encoded as expected.
+ */
+function decodeValue (value, decodingStrategy = 'none') {
+  if (decodingStrategy === 'none') {
+    return value
+  }
+
+  if (!decoders.has(decodingStrategy)) {
+    throw new Error(`Unknown decodingStrategy ${decodingStrategy},` +
+      ` use one of ${[...decoders.keys(), 'none'].join(', ')}`)
+  }
+
+  const { isValid, encoding } = decoders.get(decodingStrategy)
+  // Whitespace is ignored, so that line wrapped values decode.
+  const text = `${value}`.replace(/\s/g, '')
+  if (!isValid(text)) {
+    throw new Error(`Value is not ${decodingStrategy} encoded`)
+  }
+
+  // Node decodes both base64 alphabets, base64url is validated above.
+  return Buffer.from(text, encoding)
+}
+
+module.exports = {
+  decodeValue
+}
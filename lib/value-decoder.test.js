@@ -0,0 +1,38 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+
+const { decodeValue } = require('./value-decoder')
+
+describe('value-decoder', () => {
+  describe('decodeValue', () => {
+    it('keeps values by default', () => {
+      expect(decodeValue('aGVsbG8=')).equals('aGVsbG8=')
+      expect(decodeValue('aGVsbG8=', 'none')).equals('aGVsbG8=')
+    })
+
+    it('decodes base64', () => {
+      expect(decodeValue('aGVs\nbG8=\n', 'base64')).deep.equals(Buffer.from('hello'))
+      expect(decodeValue(Buffer.from('/+8='), 'base64')).deep.equals(Buffer.from([0xff, 0xef]))
+    })
+
+    it('decodes base64url', () => {
+      expect(decodeValue('_-8', 'base64url')).deep.equals(Buffer.from([0xff, 0xef]))
+    })
+
+    it('decodes hex', () => {
+      expect(decodeValue('00ff10', 'hex')).deep.equals(Buffer.from([0x00, 0xff, 0x10]))
+    })
+
+    it('rejects values that are not encoded as expected', () => {
+      expect(() => decodeValue('a*b', 'base64')).to.throw('Value is not base64 encoded')
+      expect(() => decodeValue('/+8=', 'base64url')).to.throw('Value is not base64url encoded')
+      expect(() => decodeValue('0f0', 'hex')).to.throw('Value is not hex encoded')
+    })
+
+    it('rejects unknown strategies', () => {
+      expect(() => decodeValue('foo', 'rot13')).to.throw('Unknown decodingStrategy rot13, use one of base64, base64url, hex, none')
+    })
+  })
+})
@@ -0,0 +1,53 @@
+'use strict'
+
+const dotenv = require('dotenv')
+const ini = require('ini')
+const yaml = require('js-yaml')
+
+const parsers = new Map([
+  ['json', text => JSON.parse(text)],
+  ['yaml', text => yaml.safeLoad(text)],
+  ['dotenv', text => dotenv.parse(text)],
+  ['ini', text => ini.parse(text)]
+])
+
+// plain values are used as they are, without parsing.
+const FORMATS = [...parsers.keys(), 'plain']
+
+/**
+ * Check that a format is known, so that configuration errors fail instead
+ * of being mistaken for malformed values.
+ * @param {string} format - Format of a value, e.g. yaml.
+ * @throws {Error} If the format is unknown.
+ */
+function validateFormat (format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format ${format}, use one of ${FORMATS.join(', ')}`)
+  }
+}
+
+/**
+ * Parse a secret value into an object of properties.
+ * @param {string|Buffer} value - Secret value from the backend.
+ * @param {string} format - Format of the value: json, yaml, dotenv or ini.
+ * @returns {Object} Parsed properties.
+ * @throws {Error} If the format is unknown or the value is not a valid document.
+ */
+function parseValue (value, format = 'json') {
+  validateFormat(format)
+  if (!parsers.has(format)) {
+    throw new Error(`Values with format ${format} have no properties`)
+  }
+
+  const parsedValue = parsers.get(format)(`${value}`)
+  if (parsedValue === null || typeof parsedValue !== 'object') {
+    throw new Error(`Expected ${format} object, got ${parsedValue === null ? 'null' : typeof parsedValue}`)
+  }
+
+  return parsedValue
+}
+
+module.exports = {
+  parseValue,
+  validateFormat
+}
@@ -0,0 +1,65 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('chai')
+
+const { parseValue, validateFormat } = require('./value-parser')
+
+describe('value-parser', () => {
+  describe('parseValue', () => {
+    it('parses json by default', () => {
+      expect(parseValue('{"foo":{"bar":"baz"}}')).deep.equals({ foo: { bar: 'baz' } })
+      expect(parseValue(Buffer.from('{"foo":"bar"}'))).deep.equals({ foo: 'bar' })
+    })
+
+    it('parses yaml', () => {
+      expect(parseValue('foo:\n  bar: baz\nlist:\n  - qux\n', 'yaml')).deep.equals({
+        foo: { bar: 'baz' },
+        list: ['qux']
+      })
+    })
+
+    it('parses dotenv', () => {
+      expect(parseValue('# comment\nFOO=bar\nBAZ="qux quux"\n', 'dotenv')).deep.equals({
+        FOO: 'bar',
+        BAZ: 'qux quux'
+      })
+    })
+
+    it('parses ini', () => {
+      expect(parseValue('foo=bar\n[db]\npassword=baz\n', 'ini')).deep.equals({
+        foo: 'bar',
+        db: { password: 'baz' }
+      })
+    })
+
+    it('rejects malformed values', () => {
+      expect(() => parseValue('{')).to.throw(SyntaxError)
+      expect(() => parseValue('foo: [bar', 'yaml')).to.throw()
+    })
+
+    it('rejects values that are not objects', () => {
+      expect(() => parseValue('"foo"')).to.throw('Expected json object, got string')
+      expect(() => parseValue('', 'yaml')).to.throw('Expected yaml object, got undefined')
+    })
+
+    it('rejects unknown formats', () => {
+      expect(() => parseValue('{}', 'toml')).to.throw('Unknown format toml, use one of json, yaml, dotenv, ini, plain')
+      expect(() => parseValue('{}', 'constructor')).to.throw('Unknown format constructor')
+    })
+
+    it('rejects plain values', () => {
+      expect(() => parseValue('{}', 'plain')).to.throw('Values with format plain have no properties')
+    })
+  })
+
+  describe('validateFormat', () => {
+    it('accepts known formats', () => {
+      ['json', 'yaml', 'dotenv', 'ini', 'plain'].forEach(format => validateFormat(format))
+    })
+
+    it('rejects unknown formats', () => {
+      expect(() => validateFormat('yml')).to.throw('Unknown format yml, use one of json, yaml, dotenv, ini, plain')
+    })
+  })
+})